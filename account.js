@@ -0,0 +1,112 @@
+const { check } = require('express-validator'),
+  passport = require('passport'),
+  Models = require('./models.js'),
+  mailer = require('./mailer.js'),
+  audit = require('./audit.js'),
+  { logger } = require('./logger.js'),
+  { BadRequestError, ConflictError, validate } = require('./errors.js');
+
+const PASSWORD_RESET_LIFETIME_MS = 60 * 60 * 1000; // 1 hour
+const EMAIL_VERIFICATION_LIFETIME_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+
+/**
+ * Issues a new email verification token for the user and mails it to them.
+ * Mail errors are logged but not passed on, so that a mail outage does not fail the request that triggered it;
+ * the user can ask for a new token at `POST /email-verification/request`.
+ * @param {Object} user - The user document.
+ * @param {Object} [models] - The Mongoose models, as exported by the models module. Defaults to that module.
+ * @returns {Promise<void>}
+ */
+let sendVerification = async (user, models = Models) => {
+  try {
+    const token = await models.UserToken.issue(user, 'email-verification', EMAIL_VERIFICATION_LIFETIME_MS);
+    await mailer.sendVerificationEmail(user, token);
+  } catch (error) {
+    logger.error('Could not send the verification email', { userId: String(user._id), error: error });
+  }
+}
+
+
+/* POST password reset and email verification. */
+module.exports = (router, options = {}) => {
+  const models = options.models || Models;
+  const Users = models.User,
+    UserTokens = models.UserToken,
+    RefreshTokens = models.RefreshToken;
+
+  // Always answers 202 so that the response does not reveal whether an account uses the email address. It is sent before
+  // the account is looked up, so that the time it takes does not reveal it either; errors can then only be logged.
+  router.post('/password-reset/request',
+  [
+    check('Email', 'Email does not appear to be valid').isEmail()
+  ], validate, async (req, res) => {
+    res.status(202).json({ message: 'If an account uses this email address, a password reset email is on its way.' });
+    await Users.findOne({ Email: req.body.Email })
+      .then(async (user) => {
+        if (user) {
+          const token = await UserTokens.issue(user, 'password-reset', PASSWORD_RESET_LIFETIME_MS);
+          await mailer.sendPasswordResetEmail(user, token);
+        }
+      })
+      .catch((error) => req.log.error('Could not send the password reset email', { error: error }));
+  });
+
+  // Sets the new password and logs the user out of every session, since the old password may have been compromised
+  router.post('/password-reset/confirm',
+  [
+    check('token', 'token is required').isString().notEmpty(),
+    check('Password', 'Password is required').not().isEmpty()
+  ], validate, async (req, res, next) => {
+    await UserTokens.consume(req.body.token, 'password-reset')
+      .then(async (userToken) => {
+        if (!userToken) {
+          return next(new BadRequestError('Invalid or expired token'));
+        }
+        const [user] = await Promise.all([
+          Users.findByIdAndUpdate(userToken.User, {
+            $set: { Password: Users.hashPassword(req.body.Password), FailedLoginAttempts: 0, LockoutCount: 0 },
+            $unset: { LockUntil: '' },
+            $inc: { TokenVersion: 1 }
+          }, { projection: { Username: 1 } }),
+          RefreshTokens.updateMany({ User: userToken.User, RevokedAt: null }, { $set: { RevokedAt: new Date() } })
+        ]);
+        if (!user) {
+          return next(new BadRequestError('Invalid or expired token'));
+        }
+        await audit.record(req, 'user.password_reset', {
+          username: user.Username,
+          targetType: 'user',
+          targetId: user.Username
+        });
+        res.json({ message: 'Your password has been reset. Please log in with your new password.' });
+      })
+      .catch(next);
+  });
+
+  router.post('/email-verification/confirm',
+  [
+    check('token', 'token is required').isString().notEmpty()
+  ], validate, async (req, res, next) => {
+    await UserTokens.consume(req.body.token, 'email-verification')
+      .then(async (userToken) => {
+        if (!userToken) {
+          return next(new BadRequestError('Invalid or expired token'));
+        }
+        await Users.updateOne({ _id: userToken.User }, { $set: { Verified: true } });
+        res.json({ message: 'Your email address has been verified.' });
+      })
+      .catch(next);
+  });
+
+  // Sends a new verification email to the logged in user
+  router.post('/email-verification/request', passport.authenticate('jwt', { session: false, failWithError: true }), async (req, res, next) => {
+    if (req.user.Verified !== false) {
+      return next(new ConflictError('Your email address is already verified.'));
+    }
+    await sendVerification(req.user, models);
+    res.status(202).json({ message: 'A verification email is on its way.' });
+  });
+}
+
+module.exports.sendVerification = sendVerification;
@@ -0,0 +1,85 @@
+/**
+ * @module app
+ * @description This module builds the Express application with all of the API's routes. It does not connect to
+ * MongoDB or listen on a port, so the same application can be served by `server.js` or exercised by the tests.
+ */
+const express = require('express'),
+  bodyParser = require('body-parser'),
+  cors = require('cors'),
+  settings = require('./config.js'),
+  { requestId, notFound, errorHandler } = require('./errors.js'),
+  { logger: defaultLogger, requestLogger } = require('./logger.js'),
+  { requestMetrics } = require('./metrics.js'),
+  uploads = require('./uploads.js');
+
+require('./passport');
+
+/**
+ * @function createApp
+ * @description Creates the Express application.
+ * @param {Object} [options] - What the application depends on.
+ * @param {Object} [options.models] - The Mongoose models, as exported by the models module. Defaults to that module.
+ * Every router uses them; only the passport strategies, which are shared by the whole process, use that module.
+ * @param {S3Client} options.s3Client - The S3 client that images are stored with.
+ * @param {Object} [options.config] - Settings of the application, shaped like the config module's sections.
+ * @param {Object} [options.config.http] - The `http` settings, whose `corsOrigins` are allowed by CORS, whose
+ * `trustProxy` is Express's `trust proxy` setting and whose `metricsEnabled` serves `GET /metrics`. Defaults to the
+ * settings in the environment.
+ * @param {Object} [options.config.auth] - The `auth` settings of the token lifetimes and login limits. Defaults to the
+ * settings in the environment.
+ * @param {Object} [options.rateLimitStore] - The store of the login rate limits. Defaults to an in-memory store.
+ * @param {mongoose.Connection} [options.connection] - The MongoDB connection that readiness is checked on. Defaults
+ * to Mongoose's default connection.
+ * @param {Logger} [options.logger] - The logger for the access log and the requests' `req.log`. Defaults to the
+ * application's logger.
+ * @returns {Express} The application.
+ */
+const createApp = ({ models = require('./models.js'), s3Client, config = {}, rateLimitStore, connection,
+  logger = defaultLogger } = {}) => {
+  const http = config.http || settings.get('http');
+  const app = express();
+
+  // Behind a proxy, `req.ip` is only the client's address, which the login limits count by, if the proxy is trusted
+  app.set('trust proxy', http.trustProxy || false);
+
+  app.use(requestId());
+  app.use(requestLogger(logger));
+  app.use(requestMetrics());
+  app.use(bodyParser.json({ limit: '10mb' }));
+  app.use(bodyParser.urlencoded({ limit: '10mb', extended: true }));
+
+  app.use(cors({
+    origin: http.corsOrigins.includes('*') ? '*' : http.corsOrigins, // Allows the configured origins
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'], // Allows all standard methods
+    allowedHeaders: ['*'], // Allows all headers
+    exposedHeaders: ['X-Request-Id'] // Lets clients read the request ID to report errors
+  }));
+
+  app.get('/health', (req, res) => {
+    res.status(200).send('OK');
+  });
+  require('./health')(app, { s3Client: s3Client, connection: connection, metrics: http.metricsEnabled });
+
+  require('./auth')(app, { models: models, config: config, rateLimitStore: rateLimitStore });
+  require('./account')(app, { models: models });
+  require('./lists')(app, { models: models });
+  require('./reviews')(app, { models: models });
+  require('./people')(app, { models: models });
+
+  uploads(app, { models: models, s3Client: s3Client });
+
+  app.get('/', (req, res) => {
+    res.status(200).send('Welcome to the Node.js application!');
+  });
+
+  require('./users')(app, { models: models });
+  require('./movies')(app, { models: models, s3Client: s3Client });
+
+  // Errors of every route end up here, in the shape described in the errors module
+  app.use(notFound);
+  app.use(errorHandler);
+
+  return app;
+};
+
+module.exports = { createApp };
@@ -0,0 +1,47 @@
+/**
+ * @module audit
+ * @description This module keeps the audit trail: a record in the `auditevents` collection for every security-relevant
+ * action, such as logins, changes to an account, uploads and admin edits of movies, directors and people. Each event names who did what to
+ * which target, from which IP, and the request ID that finds the request in the logs.
+ */
+const Models = require('./models.js');
+const { logger, redact } = require('./logger.js');
+
+/**
+ * @function record
+ * @description Records an action of a request in the audit trail and logs it. A failure to record is logged but
+ * not passed on, so that the action itself still completes.
+ * @param {Object} req - The request that performed the action. Its authenticated user is the actor.
+ * @param {string} action - What happened, such as `login.succeeded` or `movie.updated`.
+ * @param {Object} [fields] - More about the action.
+ * @param {string} [fields.outcome] - `success` (the default) or `failure`.
+ * @param {string} [fields.username] - The username of the actor, for actions without an authenticated user.
+ * @param {string} [fields.targetType] - The kind of thing acted on: `user`, `movie`, `director`, `person`, `upload`
+ *   or `image`.
+ * @param {*} [fields.targetId] - The thing acted on: the username of a user, the key of an upload or image, and the ID
+ *   of anything else.
+ * @param {Object} [fields.details] - More information. Secrets in it are redacted like in the logs.
+ * @returns {Promise<void>}
+ */
+const record = async (req, action, { outcome = 'success', username, targetType, targetId, details } = {}) => {
+    const log = req.log || logger;
+    const event = {
+        Action: action,
+        Outcome: outcome,
+        Actor: req.user ? req.user._id : undefined,
+        ActorUsername: username || (req.user ? req.user.Username : undefined),
+        TargetType: targetType,
+        TargetId: targetId === undefined ? undefined : String(targetId),
+        Details: details === undefined ? undefined : redact(details),
+        RequestId: req.id,
+        Ip: req.ip
+    };
+    log.info('Audit event', { action: action, outcome: outcome, actor: event.ActorUsername, target: event.TargetId });
+    try {
+        await Models.AuditEvent.create(event);
+    } catch (error) {
+        log.error('Could not record an audit event', { action: action, error: error });
+    }
+};
+
+module.exports = { record };
@@ -1,37 +1,206 @@
-const jwtSecret = 'your_jwt_secret'; // This has to be the same key used in the JWTStrategy
-
 const jwt = require('jsonwebtoken'),
-  passport = require('passport');
+  crypto = require('crypto'),
+  { v4: uuidv4 } = require('uuid'),
+  passport = require('passport'),
+  { createMemoryStore, rateLimit } = require('./rateLimiter.js'),
+  ExtractJWT = require('passport-jwt').ExtractJwt,
+  Models = require('./models.js'),
+  config = require('./config.js'),
+  audit = require('./audit.js'),
+  { BadRequestError, UnauthorizedError } = require('./errors.js');
 
 require('./passport'); // Your local passport file
 
+const authConfig = config.get('auth');
+const jwtSecret = authConfig.jwtSecret; // This has to be the same key used in the JWTStrategy
+
+const accessTokenLifetime = authConfig.accessTokenLifetime;
+
+// Login rate limits count attempts per client IP, and attempts per account from any IP, in this window
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+
+// Helper function to build the rate limit key for the account named in a login request
+const loginAccountKey = (req) => {
+  return typeof req.body.Username === 'string' ? 'login:account:' + req.body.Username.toLowerCase() : null;
+};
+
 
+/**
+ * Signs a short-lived access token for the user. The token only carries the user's ID, the token version used to
+ * log out all sessions, and a unique `jwtid` used to revoke this single token at logout.
+ * @param {Object} user - The user document.
+ * @returns {string} The signed JWT.
+ */
 let generateJWTToken = (user) => {
-  return jwt.sign(user, jwtSecret, {
+  return jwt.sign({ _id: user._id.toString(), tv: user.TokenVersion || 0 }, jwtSecret, {
     subject: user.Username, // This is the username you’re encoding in the JWT
-    expiresIn: '7d', // This specifies that the token will expire in 7 days
+    jwtid: uuidv4(), // This identifies the token so that it can be revoked
+    expiresIn: accessTokenLifetime, // This specifies how long the token is valid
     algorithm: 'HS256' // This is the algorithm used to “sign” or encode the values of the JWT
   });
 }
 
+// Helper function to hash a refresh token; only the hash is stored in the database
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+
+/*
+ * POST login, refresh and logout.
+ * The models and the `auth` settings can be passed in `options.models` and `options.config.auth`; they default to the
+ * models module and the settings in the environment. The login rate limits use an in-memory store unless another store
+ * is passed in `options.rateLimitStore`.
+ */
+module.exports = (router, options = {}) => {
+  const models = options.models || Models;
+  const settings = (options.config && options.config.auth) || authConfig;
+  const Users = models.User,
+    RefreshTokens = models.RefreshToken,
+    RevokedTokens = models.RevokedToken;
+  const rateLimitStore = options.rateLimitStore || createMemoryStore();
+  const loginLimiters = [
+    rateLimit({
+      store: rateLimitStore,
+      windowMs: LOGIN_WINDOW_MS,
+      max: settings.loginMaxPerIp,
+      keyGenerator: (req) => 'login:ip:' + req.ip,
+      message: 'Too many login attempts, please try again later.'
+    }),
+    rateLimit({
+      store: rateLimitStore,
+      windowMs: LOGIN_WINDOW_MS,
+      max: settings.loginMaxPerAccount,
+      keyGenerator: loginAccountKey,
+      message: 'Too many login attempts, please try again later.'
+    })
+  ];
+
+  /**
+   * Issues a new refresh token for the user and stores its hash.
+   * @param {Object} user - The user document.
+   * @param {string} [family] - The family of the token being rotated. A new family is started at login.
+   * @returns {Promise<string>} The refresh token to hand to the client.
+   */
+  const issueRefreshToken = async (user, family) => {
+    const token = crypto.randomBytes(32).toString('base64url');
+    await RefreshTokens.create({
+      User: user._id,
+      TokenHash: hashToken(token),
+      Family: family || uuidv4(),
+      ExpiresAt: new Date(Date.now() + settings.refreshTokenLifetimeDays * 24 * 60 * 60 * 1000)
+    });
+    return token;
+  };
+
+  /**
+   * Exchanges a refresh token for a new access token and a new refresh token. The used refresh token is revoked.
+   * If a token that was already used is presented again, it has probably been stolen, so its whole family is revoked.
+   * @param {string} token - The refresh token sent by the client.
+   * @returns {Promise<Object|null>} `{ user, token, refreshToken }`, or `null` if the refresh token is not valid.
+   */
+  const rotateRefreshToken = async (token) => {
+    const tokenHash = hashToken(token);
+    const now = new Date();
+    // Claim the token atomically so that two concurrent refreshes cannot both succeed
+    const claimed = await RefreshTokens.findOneAndUpdate(
+      { TokenHash: tokenHash, RevokedAt: null, ExpiresAt: { $gt: now } },
+      { $set: { RevokedAt: now } }
+    );
+    if (!claimed) {
+      const reused = await RefreshTokens.findOne({ TokenHash: tokenHash, RevokedAt: { $ne: null } });
+      if (reused) {
+        await RefreshTokens.updateMany({ Family: reused.Family, RevokedAt: null }, { $set: { RevokedAt: now } });
+      }
+      return null;
+    }
+    const user = await Users.findById(claimed.User);
+    if (!user) {
+      return null;
+    }
+    return {
+      user: user,
+      token: generateJWTToken(user),
+      refreshToken: await issueRefreshToken(user, claimed.Family)
+    };
+  };
 
-/* POST login. */
-module.exports = (router) => {
-  router.post('/login', (req, res) => {
+  router.post('/login', loginLimiters, (req, res, next) => {
     passport.authenticate('local', { session: false }, (error, user, info) => {
-      if (error || !user) {
-        return res.status(400).json({
-          message: 'Something is not right',
-          user: user
-        });
+      if (error) {
+        return next(error);
+      }
+      if (!user) {
+        return audit.record(req, 'login.failed', {
+          outcome: 'failure',
+          username: typeof req.body.Username === 'string' ? req.body.Username : undefined,
+          details: { reason: info && info.reason ? info.reason : 'missing_credentials' }
+        })
+          .then(() => next(new UnauthorizedError(info && info.message ? info.message : 'Incorrect username or password.')));
       }
       req.login(user, { session: false }, (error) => {
         if (error) {
-          res.send(error);
+          return next(error);
         }
-        let token = generateJWTToken(user.toJSON());
-        return res.json({ user, token });
+        let token = generateJWTToken(user);
+        // A successful login clears the account's rate limit so that only failed attempts add up
+        Promise.all([issueRefreshToken(user), rateLimitStore.reset(loginAccountKey(req))])
+          .then(async ([refreshToken]) => {
+            await audit.record(req, 'login.succeeded', { targetType: 'user', targetId: user.Username });
+            res.json({ user, token, refreshToken });
+          })
+          .catch(next);
       });
-    })(req, res);
+    })(req, res, next);
+  });
+
+  router.post('/refresh', async (req, res, next) => {
+    if (!req.body.refreshToken || typeof req.body.refreshToken !== 'string') {
+      return next(new BadRequestError('refreshToken is required'));
+    }
+    await rotateRefreshToken(req.body.refreshToken)
+      .then((result) => {
+        if (!result) {
+          return next(new UnauthorizedError('Invalid or expired refresh token'));
+        }
+        res.json(result);
+      })
+      .catch(next);
+  });
+
+  // Revokes the access token used for this request and, if one is sent, the refresh token family it belongs to
+  router.post('/logout', passport.authenticate('jwt', { session: false, failWithError: true }), async (req, res, next) => {
+    const payload = jwt.decode(ExtractJWT.fromAuthHeaderAsBearerToken()(req));
+    const revocations = [
+      RevokedTokens.updateOne(
+        { Jti: payload.jti },
+        { $setOnInsert: { ExpiresAt: new Date(payload.exp * 1000) } },
+        { upsert: true }
+      )
+    ];
+    if (typeof req.body.refreshToken === 'string') {
+      revocations.push(RefreshTokens.findOne({ TokenHash: hashToken(req.body.refreshToken), User: req.user._id })
+        .then((stored) => stored && RefreshTokens.updateMany(
+          { Family: stored.Family, RevokedAt: null },
+          { $set: { RevokedAt: new Date() } }
+        )));
+    }
+    await Promise.all(revocations)
+      .then(() => {
+        res.json({ message: 'Logged out' });
+      })
+      .catch(next);
+  });
+
+  // Invalidates every access and refresh token issued to the user
+  router.post('/logout/all', passport.authenticate('jwt', { session: false, failWithError: true }), async (req, res, next) => {
+    await Promise.all([
+      Users.updateOne({ _id: req.user._id }, { $inc: { TokenVersion: 1 } }),
+      RefreshTokens.updateMany({ User: req.user._id, RevokedAt: null }, { $set: { RevokedAt: new Date() } })
+    ])
+      .then(() => {
+        res.json({ message: 'Logged out of all sessions' });
+      })
+      .catch(next);
   });
-}
\ No newline at end of file
+}
+
+module.exports.generateJWTToken = generateJWTToken;
@@ -0,0 +1,62 @@
+/**
+ * @module authorization
+ * @description This module provides the authorization middleware used after `passport.authenticate('jwt')`
+ * to restrict routes to users with the required role, to the owner of the requested resource, or to users who
+ * verified their email address. Refused requests are passed on as a `ForbiddenError` (see the errors module).
+ */
+const { ForbiddenError } = require('./errors.js');
+
+/**
+ * @function requireAdmin
+ * @description Express middleware that only lets users with the `admin` role through.
+ * Must run after `passport.authenticate('jwt', { session: false })` so that `req.user` is set.
+ * @param {Object} req - The request object with the authenticated user in `req.user`.
+ * @param {Object} res - The response object.
+ * @param {Function} next - The next middleware function, called with a `ForbiddenError` to refuse the request.
+ * @returns {void}
+ */
+const requireAdmin = (req, res, next) => {
+    if (!req.user || req.user.Role !== 'admin') {
+        return next(new ForbiddenError());
+    }
+    next();
+};
+
+/**
+ * @function requireSelfOrAdmin
+ * @description Express middleware for `/users/:Username` routes that only lets the user named in the URL,
+ * or an admin, through. Must run after `passport.authenticate('jwt', { session: false })`.
+ * @param {Object} req - The request object with the authenticated user in `req.user` and the `Username` URL parameter.
+ * @param {Object} res - The response object.
+ * @param {Function} next - The next middleware function, called with a `ForbiddenError` to refuse the request.
+ * @returns {void}
+ */
+const requireSelfOrAdmin = (req, res, next) => {
+    if (!req.user || (req.user.Username !== req.params.Username && req.user.Role !== 'admin')) {
+        return next(new ForbiddenError());
+    }
+    next();
+};
+
+/**
+ * @function requireVerified
+ * @description Express middleware that refuses users who have not confirmed their email address yet. Users whose
+ * `Verified` flag is unset registered before email verification existed and are let through, as are admins.
+ * Must run after `passport.authenticate('jwt', { session: false })`.
+ * @param {Object} req - The request object with the authenticated user in `req.user`.
+ * @param {Object} res - The response object.
+ * @param {Function} next - The next middleware function, called with a `ForbiddenError` to refuse the request.
+ * @returns {void}
+ */
+const requireVerified = (req, res, next) => {
+    if (!req.user || (req.user.Verified === false && req.user.Role !== 'admin')) {
+        return next(new ForbiddenError('Please verify your email address first'));
+    }
+    next();
+};
+
+module.exports = {
+    requireAdmin,
+    requireSelfOrAdmin,
+    requireVerified
+};
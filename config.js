@@ -0,0 +1,321 @@
+/**
+ * @module config
+ * @description This module loads the settings of the application from the environment (and a `.env` file) and checks
+ * them before anything uses them. Settings are grouped in sections, so that a process only needs the sections it uses:
+ * the resize Lambda, for example, never needs a database.
+ *
+ * `NODE_ENV` selects a profile: `development` (the default), `test` or `production`. The profile supplies defaults
+ * and decides which settings are required; production has no defaults for anything that identifies a deployment.
+ * Every problem is reported at once, and secrets are never part of a report or of `redact()`'s output.
+ */
+const path = require('path');
+require('dotenv').config();
+
+const PROFILES = ['development', 'test', 'production'];
+
+// What each profile fills in for settings that are not set. A setting without a default in a profile is required there.
+const PROFILE_DEFAULTS = {
+    development: {
+        CONNECTION_URI: 'mongodb://127.0.0.1:27017/myflix',
+        BUCKET_NAME: 'myflix-frontend-aws',
+        CORS_ORIGINS: '*',
+        MAIL_TRANSPORT: 'console',
+        LOG_LEVEL: 'debug'
+    },
+    test: {
+        CONNECTION_URI: 'mongodb://127.0.0.1:27017/myflix-test',
+        JWT_SECRET: 'test-secret',
+        BUCKET_NAME: 'myflix-test',
+        CORS_ORIGINS: '*',
+        MAIL_TRANSPORT: 'console',
+        LOG_LEVEL: 'silent'
+    },
+    production: {
+        MAIL_TRANSPORT: 'ses',
+        LOG_LEVEL: 'info'
+    }
+};
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+const MAIL_TRANSPORTS = ['console', 'file', 'ses'];
+
+// Mail transports that keep the messages, and the tokens in them, on the server. They are refused in production.
+const LOCAL_MAIL_TRANSPORTS = ['console', 'file'];
+
+// The poster sizes made by the resize handler, by name, with their width in pixels, and the formats they are made in
+// besides the original's
+const DEFAULT_IMAGE_VARIANTS = 'thumb:300,card:600,hero:1280';
+const DEFAULT_IMAGE_FORMATS = 'webp,avif';
+
+// Formats the resize handler can write
+const IMAGE_FORMATS = ['jpeg', 'png', 'gif', 'webp', 'avif'];
+
+// Secrets shorter than this are refused in production
+const MIN_PRODUCTION_SECRET_LENGTH = 32;
+
+const REDACTED = '[redacted]';
+
+/**
+ * Raised when the settings are missing or invalid. `problems` lists every problem found, one message each.
+ */
+class ConfigError extends Error {
+    constructor(problems) {
+        super('Invalid configuration:\n' + problems.map((problem) => '  - ' + problem).join('\n'));
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+// Helper function to read a positive integer setting, reporting anything else
+const positiveInt = (env, name, fallback, problems) => {
+    if (env[name] === undefined || env[name] === '') {
+        return fallback;
+    }
+    const value = Number(env[name]);
+    if (!Number.isInteger(value) || value < 1) {
+        problems.push(`${name} must be a positive integer`);
+    }
+    return value;
+};
+
+// Helper function to read a setting, falling back to the profile's default and reporting it when it is required
+const setting = (env, profile, name, problems) => {
+    const value = env[name] !== undefined && env[name] !== '' ? env[name] : PROFILE_DEFAULTS[profile][name];
+    if (value === undefined) {
+        problems.push(`${name} is required in the ${profile} profile`);
+    }
+    return value;
+};
+
+// Helper function to tell whether a string is an http(s) URL
+const isHttpUrl = (value) => {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (error) {
+        return false;
+    }
+};
+
+// Helper function to read which proxies in front of the server are trusted to report the client IP, in a form that
+// Express's `trust proxy` setting accepts: false for none, a number of hops, or a list of addresses and subnets
+const trustProxy = (env, problems) => {
+    const value = (env.TRUST_PROXY || '').trim();
+    if (value === '' || value === 'false') {
+        return false;
+    }
+    if (/^\d+$/.test(value)) {
+        return Number(value);
+    }
+    if (value === 'true') {
+        problems.push('TRUST_PROXY must be a number of hops or a list of addresses, since true lets clients pick their IP');
+        return false;
+    }
+    return value.split(',').map((address) => address.trim()).filter(Boolean);
+};
+
+// How each section is read. Each reader returns the section and adds what is wrong with it to `problems`.
+const SECTIONS = {
+    database: (env, profile, problems) => {
+        const mongoUri = setting(env, profile, 'CONNECTION_URI', problems);
+        if (mongoUri !== undefined && !/^mongodb(\+srv)?:\/\//.test(mongoUri)) {
+            problems.push('CONNECTION_URI must be a mongodb:// or mongodb+srv:// URI');
+        }
+        return { mongoUri: mongoUri };
+    },
+
+    auth: (env, profile, problems) => {
+        const jwtSecret = setting(env, profile, 'JWT_SECRET', problems);
+        if (profile === 'production' && jwtSecret !== undefined && jwtSecret.length < MIN_PRODUCTION_SECRET_LENGTH) {
+            problems.push(`JWT_SECRET must be at least ${MIN_PRODUCTION_SECRET_LENGTH} characters long in production`);
+        }
+        const accessTokenLifetime = env.JWT_EXPIRES_IN || '15m';
+        if (!/^\d+[smhd]$/.test(accessTokenLifetime)) {
+            problems.push('JWT_EXPIRES_IN must be a number followed by s, m, h or d, such as 15m');
+        }
+        return {
+            jwtSecret: jwtSecret,
+            accessTokenLifetime: accessTokenLifetime,
+            refreshTokenLifetimeDays: positiveInt(env, 'REFRESH_TOKEN_TTL_DAYS', 30, problems),
+            loginMaxPerIp: positiveInt(env, 'LOGIN_MAX_PER_IP', 20, problems), // Per 15 minutes
+            loginMaxPerAccount: positiveInt(env, 'LOGIN_MAX_PER_ACCOUNT', 10, problems), // Per 15 minutes
+            maxFailedLogins: positiveInt(env, 'LOGIN_MAX_FAILED_ATTEMPTS', 5, problems)
+        };
+    },
+
+    storage: (env, profile, problems) => {
+        const storage = {
+            region: env.AWS_REGION || 'us-east-1',
+            bucket: setting(env, profile, 'BUCKET_NAME', problems)
+        };
+        if (env.S3_ENDPOINT) {
+            if (!isHttpUrl(env.S3_ENDPOINT)) {
+                problems.push('S3_ENDPOINT must be an http or https URL');
+            }
+            storage.endpoint = env.S3_ENDPOINT;
+            storage.forcePathStyle = env.S3_FORCE_PATH_STYLE !== 'false';
+        }
+        return storage;
+    },
+
+    http: (env, profile, problems) => {
+        const port = positiveInt(env, 'PORT', 5000, problems);
+        if (port > 65535) {
+            problems.push('PORT must be at most 65535');
+        }
+        const corsOrigins = (setting(env, profile, 'CORS_ORIGINS', problems) || '')
+            .split(',').map((origin) => origin.trim()).filter(Boolean);
+        corsOrigins.filter((origin) => origin !== '*' && !isHttpUrl(origin)).forEach((origin) => {
+            problems.push(`CORS_ORIGINS must be * or a comma-separated list of URLs, not ${origin}`);
+        });
+        if (profile === 'production' && corsOrigins.includes('*')) {
+            problems.push('CORS_ORIGINS must list the allowed origins in production instead of *');
+        }
+        // GET /metrics needs no authentication, so it is only served where it has been turned on
+        const metricsEnabled = env.METRICS_ENABLED || 'false';
+        if (!['true', 'false'].includes(metricsEnabled)) {
+            problems.push(`METRICS_ENABLED must be true or false, not ${metricsEnabled}`);
+        }
+        return {
+            port: port,
+            corsOrigins: corsOrigins,
+            shutdownTimeoutMs: positiveInt(env, 'SHUTDOWN_TIMEOUT_MS', 10 * 1000, problems),
+            trustProxy: trustProxy(env, problems),
+            metricsEnabled: metricsEnabled === 'true'
+        };
+    },
+
+    images: (env, profile, problems) => {
+        const variantSetting = env.IMAGE_VARIANTS || DEFAULT_IMAGE_VARIANTS;
+        const variants = {};
+        variantSetting.split(',').forEach((entry) => {
+            const [name, width] = entry.split(':').map((part) => part.trim());
+            if (!/^[a-z0-9-]+$/i.test(name || '') || !/^[1-9][0-9]*$/.test(width || '')) {
+                problems.push(`IMAGE_VARIANTS must look like thumb:300,card:600, not ${variantSetting}`);
+                return;
+            }
+            variants[name] = parseInt(width, 10);
+        });
+        // An empty IMAGE_FORMATS means the variants are only made in the original's format
+        const formats = (env.IMAGE_FORMATS !== undefined ? env.IMAGE_FORMATS : DEFAULT_IMAGE_FORMATS)
+            .split(',').map((format) => format.trim().toLowerCase()).filter(Boolean);
+        const unknown = formats.filter((format) => !IMAGE_FORMATS.includes(format));
+        if (unknown.length > 0) {
+            problems.push(`IMAGE_FORMATS must list formats out of ${IMAGE_FORMATS.join(', ')}, not ${unknown.join(', ')}`);
+        }
+        if (env.IMAGE_BASE_URL && !isHttpUrl(env.IMAGE_BASE_URL)) {
+            problems.push('IMAGE_BASE_URL must be an http or https URL');
+        }
+        return {
+            variants: variants,
+            formats: formats,
+            baseUrl: env.IMAGE_BASE_URL ? env.IMAGE_BASE_URL.replace(/\/+$/, '') : undefined
+        };
+    },
+
+    uploads: (env, profile, problems) => ({
+        maxBytes: positiveInt(env, 'UPLOAD_MAX_BYTES', 5 * 1024 * 1024, problems), // 5 MB
+        maxWidth: positiveInt(env, 'UPLOAD_MAX_WIDTH', 5000, problems),
+        maxHeight: positiveInt(env, 'UPLOAD_MAX_HEIGHT', 5000, problems),
+        presignedUrlExpiresIn: positiveInt(env, 'PRESIGNED_URL_EXPIRES_IN', 5 * 60, problems) // In seconds
+    }),
+
+    mail: (env, profile, problems) => {
+        const transport = setting(env, profile, 'MAIL_TRANSPORT', problems);
+        if (transport !== undefined && !MAIL_TRANSPORTS.includes(transport)) {
+            problems.push(`MAIL_TRANSPORT must be one of ${MAIL_TRANSPORTS.join(', ')}, not ${transport}`);
+        } else if (profile === 'production' && LOCAL_MAIL_TRANSPORTS.includes(transport)) {
+            problems.push(`MAIL_TRANSPORT cannot be ${transport} in the production profile`);
+        }
+        if (transport === 'ses' && !env.MAIL_FROM) {
+            problems.push('MAIL_FROM is required with MAIL_TRANSPORT=ses');
+        }
+        if (env.APP_URL && !isHttpUrl(env.APP_URL)) {
+            problems.push('APP_URL must be an http or https URL');
+        }
+        return {
+            transport: transport,
+            dir: env.MAIL_DIR || path.join(__dirname, 'mail'), // Where the file transport writes
+            from: env.MAIL_FROM, // The sender of the ses transport, an address verified in SES
+            region: env.AWS_REGION || 'us-east-1',
+            appUrl: env.APP_URL ? env.APP_URL.replace(/\/+$/, '') : undefined
+        };
+    },
+
+    logging: (env, profile, problems) => {
+        const level = setting(env, profile, 'LOG_LEVEL', problems);
+        if (!LOG_LEVELS.includes(level)) {
+            problems.push(`LOG_LEVEL must be one of ${LOG_LEVELS.join(', ')}, not ${level}`);
+        }
+        return { level: level };
+    }
+};
+
+/**
+ * @function loadConfig
+ * @description Reads and checks the settings.
+ * @param {Object} [env] - The environment to read. Defaults to `process.env`.
+ * @param {string[]} [sections] - The sections to read: `database`, `auth`, `storage`, `http`, `images`, `uploads`,
+ * `mail` and `logging`.
+ * Defaults to all of them.
+ * @returns {Object} The settings, with the `profile` and one object per section.
+ * @throws {ConfigError} With every problem found.
+ */
+const loadConfig = (env = process.env, sections = Object.keys(SECTIONS)) => {
+    const problems = [];
+    const profile = env.NODE_ENV || 'development';
+    if (!PROFILES.includes(profile)) {
+        throw new ConfigError([`NODE_ENV must be one of ${PROFILES.join(', ')}, not ${profile}`]);
+    }
+    const config = { profile: profile };
+    sections.forEach((section) => {
+        config[section] = SECTIONS[section](env, profile, problems);
+    });
+    if (problems.length > 0) {
+        throw new ConfigError(problems);
+    }
+    return config;
+};
+
+// Sections read from process.env, loaded on first use
+const loaded = {};
+
+/**
+ * @function get
+ * @description Returns one section of the settings in `process.env`. Each section is read and checked once.
+ * @param {string} section - The section: `database`, `auth`, `storage`, `http`, `images`, `uploads`, `mail`
+ * or `logging`.
+ * @returns {Object} The section.
+ * @throws {ConfigError} If the section's settings are missing or invalid.
+ */
+const get = (section) => {
+    if (!loaded[section]) {
+        loaded[section] = Object.freeze(loadConfig(process.env, [section])[section]);
+    }
+    return loaded[section];
+};
+
+/**
+ * @function redact
+ * @description Copies the settings for diagnostics, such as the startup log, with the secrets hidden. The JWT secret
+ * is replaced and so are the user name and password in the MongoDB URI.
+ * @param {Object} config - The settings returned by `loadConfig`.
+ * @returns {Object} The copy.
+ */
+const redact = (config) => {
+    const copy = JSON.parse(JSON.stringify(config));
+    if (copy.auth && copy.auth.jwtSecret !== undefined) {
+        copy.auth.jwtSecret = REDACTED;
+    }
+    if (copy.database && copy.database.mongoUri) {
+        copy.database.mongoUri = copy.database.mongoUri.replace(/\/\/[^@/]*@/, '//' + REDACTED + '@');
+    }
+    return copy;
+};
+
+module.exports = {
+    ConfigError,
+    loadConfig,
+    get,
+    redact
+};
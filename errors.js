@@ -0,0 +1,214 @@
+/**
+ * @module errors
+ * @description This module defines how the API reports errors. Routes pass an error to `next()` (or throw it inside a
+ * promise chain that ends in `.catch(next)`), and `errorHandler` turns it into a response with the right status and one
+ * JSON shape:
+ *
+ *     { "error": { "code": "not_found", "message": "Movie Alien was not found", "requestId": "…", "details": … } }
+ *
+ * `details` is only present for errors that carry more information, such as the failed checks of a `ValidationError`.
+ * Unexpected errors are logged and answered with a generic 500, so database and other internal messages never reach
+ * a client. Every response carries its request ID in the `X-Request-Id` header, to match a report with the logs.
+ */
+const { validationResult } = require('express-validator');
+const { v4: uuidv4 } = require('uuid');
+const { logger } = require('./logger.js');
+
+// Request IDs sent by a client or proxy are reused when they look sane
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,100}$/;
+
+/**
+ * An error with the HTTP status and the machine-readable code to report it with.
+ */
+class HttpError extends Error {
+    /**
+     * @param {number} status - The HTTP status.
+     * @param {string} code - The error code, in snake case.
+     * @param {string} message - The message for the client.
+     * @param {*} [details] - More information for the client.
+     */
+    constructor(status, code, message, details) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+/**
+ * The request is malformed, for example a file is missing.
+ */
+class BadRequestError extends HttpError {
+    constructor(message, details) {
+        super(400, 'bad_request', message, details);
+    }
+}
+
+/**
+ * The client is not authenticated.
+ */
+class UnauthorizedError extends HttpError {
+    constructor(message = 'Authentication is required') {
+        super(401, 'unauthorized', message);
+    }
+}
+
+/**
+ * The authenticated user is not allowed to do this.
+ */
+class ForbiddenError extends HttpError {
+    constructor(message = 'Permission denied') {
+        super(403, 'forbidden', message);
+    }
+}
+
+/**
+ * The requested resource does not exist.
+ */
+class NotFoundError extends HttpError {
+    constructor(message = 'Not found') {
+        super(404, 'not_found', message);
+    }
+}
+
+/**
+ * The request conflicts with the current state, for example a name that is already taken.
+ */
+class ConflictError extends HttpError {
+    constructor(message, details) {
+        super(409, 'conflict', message, details);
+    }
+}
+
+/**
+ * The request did not pass validation. `details` lists the failed checks.
+ */
+class ValidationError extends HttpError {
+    constructor(details, message = 'The request is not valid') {
+        super(422, 'validation_failed', message, details);
+    }
+}
+
+/**
+ * @function requestId
+ * @description Builds the middleware that gives every request an ID in `req.id`, taken from the `X-Request-Id` header
+ * or generated, and returns it in the `X-Request-Id` response header.
+ * @returns {Function} The middleware.
+ */
+const requestId = () => (req, res, next) => {
+    const header = req.get('X-Request-Id');
+    req.id = header && REQUEST_ID_PATTERN.test(header) ? header : uuidv4();
+    res.set('X-Request-Id', req.id);
+    next();
+};
+
+/**
+ * @function validate
+ * @description Express middleware that passes a `ValidationError` on when the express-validator checks before it
+ * failed. Place it after the checks of a route.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {Function} next - The next middleware function.
+ * @returns {void}
+ */
+const validate = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return next(new ValidationError(errors.array()));
+    }
+    next();
+};
+
+// Helper function to turn errors raised outside the routes, by Mongoose, body-parser or passport, into HTTP errors.
+// Returns null for unexpected errors.
+const toHttpError = (err) => {
+    if (err instanceof HttpError) {
+        return err;
+    }
+    if (err.name === 'AuthenticationError') { // passport with failWithError
+        return new UnauthorizedError();
+    }
+    if (err.type === 'entity.parse.failed') {
+        return new HttpError(400, 'invalid_json', 'The request body is not valid JSON');
+    }
+    if (err.type === 'entity.too.large') {
+        return new HttpError(413, 'payload_too_large', 'The request body is too large');
+    }
+    if (err.name === 'CastError') {
+        return new BadRequestError(`${err.path} is not valid`);
+    }
+    if (err.name === 'ValidationError' && err.errors) { // Mongoose schema validation
+        return new ValidationError(Object.values(err.errors).map((error) => ({ path: error.path, msg: error.message })));
+    }
+    if (err.code === 11000) {
+        const field = Object.keys(err.keyPattern || err.keyValue || {})[0];
+        return new ConflictError((field || 'The value') + ' already exists');
+    }
+    return null;
+};
+
+/**
+ * @function notFound
+ * @description Express middleware for requests that no route handled. Mount it after every route.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {Function} next - The next middleware function, called with a `NotFoundError`.
+ * @returns {void}
+ */
+const notFound = (req, res, next) => {
+    next(new NotFoundError(`Cannot ${req.method} ${req.path}`));
+};
+
+/**
+ * @function sendError
+ * @description Sends an HTTP error in the API's JSON shape. For the few places that have to answer outside the
+ * middleware chain, such as the upload size limit; everything else passes its errors to `next()`.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {HttpError} error - The error to send.
+ * @returns {void}
+ */
+const sendError = (req, res, error) => {
+    const body = { code: error.code, message: error.message, requestId: req.id };
+    if (error.details !== undefined) {
+        body.details = error.details;
+    }
+    res.status(error.status).json({ error: body });
+};
+
+/**
+ * @function errorHandler
+ * @description Express error middleware that sends every error in the API's JSON shape. Mount it last.
+ * @param {Error} err - The error.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {Function} next - The next middleware function, only used when the response has already started.
+ * @returns {void}
+ */
+const errorHandler = (err, req, res, next) => {
+    if (res.headersSent) {
+        return next(err);
+    }
+    let error = toHttpError(err);
+    if (!error) {
+        (req.log || logger).error('Request failed', { error: err });
+        error = new HttpError(500, 'internal_error', 'Something went wrong');
+    }
+    sendError(req, res, error);
+};
+
+module.exports = {
+    HttpError,
+    BadRequestError,
+    UnauthorizedError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    ValidationError,
+    requestId,
+    validate,
+    sendError,
+    notFound,
+    errorHandler
+};
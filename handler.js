@@ -0,0 +1,65 @@
+/**
+ * @module handler
+ * @description The Lambda entry point for S3 upload events. It is kept apart from the API so that loading it never
+ * connects to MongoDB or starts a server.
+ */
+const { S3 } = require('@aws-sdk/client-s3');
+const _ = require('lodash');
+const imagePipeline = require('./imagePipeline.js');
+const { BUCKET_NAME, s3ClientConfig } = require('./images.js');
+const { logger } = require('./logger.js');
+const metrics = require('./metrics.js');
+
+/**
+ * @function createHandler
+ * @description Builds a Lambda handler for S3 upload events. The handler generates the resized variants and the
+ * manifest of every original image in the event (see the imagePipeline module). Its own outputs under
+ * `resized-images/` are skipped, and an image that was processed before is left alone, so repeated or recursive
+ * events do no work. The outcome and duration of every image are recorded in the metrics module.
+ * @param {S3} s3 - The S3 client to read and write the images with.
+ * @param {string} [bucket] - The bucket the images are in. Defaults to `BUCKET_NAME`.
+ * @param {Logger} [log] - The logger to write to. Defaults to the application's logger.
+ * @returns {function(Object, Object=): Promise<Object>} The handler, called with the event and the Lambda context. It
+ * resolves with status 200 if every image was processed or skipped, and 500 otherwise. Its log entries carry the
+ * Lambda request ID, and those of an image the ID of the API request that uploaded it.
+ */
+const createHandler = (s3, bucket = BUCKET_NAME, log = logger) => async (event, context = {}) => {
+    const invocationLog = log.child({ requestId: context.awsRequestId });
+    invocationLog.debug('Event received', { event: event });
+
+    const results = [];
+    for (const record of event.Records || []) {
+        // Extract the object key from the event
+        const key = decodeURIComponent(record.s3.object.key.replace(/\+/g, " "));
+
+        const start = process.hrtime.bigint();
+        try {
+            const result = await imagePipeline.processImage(s3, bucket, key);
+            invocationLog.info('Image handled', { key: key, status: result.status, uploadRequestId: result.uploadRequestId });
+            results.push({ key: key, status: result.status });
+        } catch (error) {
+            invocationLog.error('Image could not be processed', { key: key, error: error });
+            results.push({ key: key, status: 'failed', error: error.message });
+        }
+        metrics.recordResize(results[results.length - 1].status, Number(process.hrtime.bigint() - start) / 1e9);
+    }
+    // One entry per invocation with the count of each status, for metric filters on the Lambda's logs
+    invocationLog.info('Resize summary', { statuses: _.countBy(results, 'status') });
+
+    const failed = results.some((result) => result.status === 'failed');
+    return {
+        statusCode: failed ? 500 : 200,
+        body: JSON.stringify(results),
+    };
+};
+
+// The client is created on first use, so requiring this module stays free of side effects
+let handler;
+
+module.exports = {
+    createHandler,
+    handler: (event, context) => {
+        handler = handler || createHandler(new S3(s3ClientConfig()));
+        return handler(event, context);
+    }
+};
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose'),
+  { HeadBucketCommand } = require('@aws-sdk/client-s3'),
+  images = require('./images.js'),
+  { registry } = require('./metrics.js');
+
+// How long each readiness check may take before it counts as failed
+const CHECK_TIMEOUT_MS = 2000;
+
+// Helper function to reject a promise that has not settled in time
+const withTimeout = (promise, ms, name) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(name + ' did not answer within ' + ms + ' ms')), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Helper function to run a readiness check, resolving to its status and how long it took instead of rejecting.
+// Why a check failed is only logged, since the route is public.
+const runCheck = async (req, name, check) => {
+  const start = Date.now();
+  try {
+    await withTimeout(Promise.resolve().then(check), CHECK_TIMEOUT_MS, name);
+    return { status: 'ok', durationMs: Date.now() - start };
+  } catch (error) {
+    req.log.warn('Readiness check failed', { check: name, error: error });
+    return { status: 'error', durationMs: Date.now() - start };
+  }
+};
+
+
+/**
+ * @namespace HealthRoutes
+ * @description Routes for load balancers, orchestrators and monitoring. They need no authentication, so the metrics
+ * are only served when they are turned on.
+ * @param {Object} router - The Express application.
+ * @param {Object} options - What the checks use.
+ * @param {S3Client} options.s3Client - The S3 client whose access to the bucket is checked.
+ * @param {mongoose.Connection} [options.connection] - The MongoDB connection to check. Defaults to Mongoose's
+ * default connection.
+ * @param {boolean} [options.metrics] - Whether to serve `GET /metrics`. Off by default.
+ */
+module.exports = (router, options) => {
+  const s3Client = options.s3Client;
+  const connection = options.connection || mongoose.connection;
+
+  /**
+   * @function getLiveness
+   * @memberof HealthRoutes
+   * @description Tells whether the process is running. It does not check any dependency, so a database outage does
+   * not get the process restarted. `GET /health` answers the same way, as plain text.
+   * @returns {Object} JSON object with `status: 'ok'`.
+   */
+  router.get('/health/live', (req, res) => {
+    res.json({ status: 'ok' });
+  });
+
+  /**
+   * @function getReadiness
+   * @memberof HealthRoutes
+   * @description Tells whether the API can serve requests: MongoDB must be connected and answer a ping, and the S3
+   * bucket must be reachable, each within two seconds. While the server shuts down it is never ready, so that no new
+   * requests are sent to it.
+   * @returns {Object} JSON object with the overall `status` (`ok`, `unavailable` or `shutting_down`) and the
+   * `status` and `durationMs` of each check. Responds with 503 unless it is ready.
+   */
+  router.get('/health/ready', async (req, res) => {
+    if (req.app.locals.shuttingDown) {
+      return res.status(503).json({ status: 'shutting_down', checks: {} });
+    }
+    const [mongodb, s3] = await Promise.all([
+      runCheck(req, 'MongoDB', () => {
+        if (connection.readyState !== 1) {
+          throw new Error('Not connected');
+        }
+        return connection.db.admin().ping();
+      }),
+      runCheck(req, 'S3', () => s3Client.send(new HeadBucketCommand({ Bucket: images.BUCKET_NAME })))
+    ]);
+    const ready = mongodb.status === 'ok' && s3.status === 'ok';
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ok' : 'unavailable', checks: { mongodb: mongodb, s3: s3 } });
+  });
+
+  /**
+   * @function getMetrics
+   * @memberof HealthRoutes
+   * @description Returns the metrics in the Prometheus text format (see the metrics module). Only served when
+   * `METRICS_ENABLED` is `true`; otherwise the route does not exist.
+   * @returns {string} The metrics.
+   */
+  if (options.metrics) {
+    router.get('/metrics', async (req, res, next) => {
+      await registry.metrics()
+        .then((metrics) => res.type(registry.contentType).send(metrics))
+        .catch(next);
+    });
+  }
+}
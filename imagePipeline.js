@@ -0,0 +1,163 @@
+/**
+ * @module imagePipeline
+ * @description This module turns an original poster into the resized variants the frontend uses for responsive
+ * `srcset`s. Every configured size (see `images.variantConfig`) is made in the original's format and in each extra
+ * format such as WebP and AVIF. Images are turned upright from their EXIF orientation and all metadata is stripped.
+ * A JSON manifest next to the variants lists their keys and actual dimensions, along with a tiny blurred placeholder.
+ */
+const sharp = require('sharp');
+const images = require('./images.js');
+
+// Width of the blurred placeholder that is inlined in the manifest
+const PLACEHOLDER_WIDTH = 16;
+
+const CONTENT_TYPES = {
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    avif: 'image/avif'
+};
+
+/**
+ * @function streamToBuffer
+ * @description Reads a stream, such as the body of an S3 object, into a buffer.
+ * @param {Readable} stream - The stream to read.
+ * @returns {Promise<Buffer>} The stream's content.
+ */
+const streamToBuffer = async (stream) => {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        stream.on('data', (chunk) => chunks.push(chunk));
+        stream.on('end', () => resolve(Buffer.concat(chunks)));
+        stream.on('error', (err) => reject(err));
+    });
+};
+
+// Helper function to render one image at a width in a format. `rotate()` without arguments applies the EXIF
+// orientation; sharp drops the EXIF data itself because the output is written without `withMetadata()`.
+const render = (input, width, format) => {
+    return sharp(input)
+        .rotate()
+        .resize({ width: width, withoutEnlargement: true })
+        .toFormat(format)
+        .toBuffer({ resolveWithObject: true });
+};
+
+/**
+ * @function generateVariants
+ * @description Renders every variant of an original image and builds its manifest.
+ * @param {Buffer} input - The original image.
+ * @param {string} key - The key of the original image.
+ * @param {string} etag - The ETag of the original image, recorded in the manifest to recognize it later.
+ * @returns {Promise<{files: Object[], manifest: Object}>} The files to store, as `{ key, body, contentType }` objects,
+ * and the manifest.
+ */
+const generateVariants = async (input, key, etag) => {
+    const config = images.variantConfig();
+    const formats = images.variantFormats(key);
+    const metadata = await sharp(input).metadata();
+
+    const files = [];
+    const variants = {};
+    for (const [name, width] of Object.entries(config.variants)) {
+        variants[name] = {};
+        for (const format of formats) {
+            const { data, info } = await render(input, width, format);
+            const variantKey = images.variantKey(key, name, format);
+            files.push({ key: variantKey, body: data, contentType: CONTENT_TYPES[format] });
+            variants[name][format] = { key: variantKey, width: info.width, height: info.height, size: info.size };
+        }
+    }
+
+    const placeholder = await sharp(input)
+        .rotate()
+        .resize({ width: PLACEHOLDER_WIDTH })
+        .blur()
+        .webp({ quality: 40 })
+        .toBuffer();
+
+    const manifest = {
+        source: {
+            key: key,
+            etag: etag,
+            format: metadata.format,
+            // Orientations 5 to 8 are rotated by 90 degrees, so width and height swap when the image is turned upright
+            width: metadata.orientation >= 5 ? metadata.height : metadata.width,
+            height: metadata.orientation >= 5 ? metadata.width : metadata.height
+        },
+        config: { variants: config.variants, formats: formats },
+        variants: variants,
+        placeholder: 'data:image/webp;base64,' + placeholder.toString('base64'),
+        generatedAt: new Date().toISOString()
+    };
+    files.push({ key: images.manifestKey(key), body: JSON.stringify(manifest, null, 2), contentType: 'application/json' });
+    return { files: files, manifest: manifest };
+};
+
+/**
+ * @function isUpToDate
+ * @description Tells whether a manifest already describes the variants for an original image and the current
+ * configuration, so that processing the same image again can be skipped.
+ * @param {Object|null} manifest - The stored manifest, or `null` if there is none.
+ * @param {string} etag - The ETag of the original image.
+ * @param {string} key - The key of the original image.
+ * @returns {boolean} `true` if nothing needs to be generated.
+ */
+const isUpToDate = (manifest, etag, key) => {
+    if (!manifest || !manifest.source || manifest.source.etag !== etag) {
+        return false;
+    }
+    const expected = { variants: images.variantConfig().variants, formats: images.variantFormats(key) };
+    return JSON.stringify(manifest.config) === JSON.stringify(expected);
+};
+
+// Helper function to read the stored manifest of an original image, or null when there is none
+const readManifest = async (s3, bucket, key) => {
+    try {
+        const { Body } = await s3.getObject({ Bucket: bucket, Key: images.manifestKey(key) });
+        return JSON.parse((await streamToBuffer(Body)).toString('utf8'));
+    } catch (error) {
+        if (error.name === 'NoSuchKey') {
+            return null;
+        }
+        throw error;
+    }
+};
+
+/**
+ * @function processImage
+ * @description Generates and stores the variants and the manifest of an original image in the bucket. Keys outside
+ * `original-images/` are skipped, which includes the pipeline's own outputs under `resized-images/`, so writing them
+ * never triggers another run. An image whose manifest is up to date is skipped too.
+ * @param {S3} s3 - The S3 client.
+ * @param {string} bucket - The bucket name.
+ * @param {string} key - The key of the object that was uploaded.
+ * @returns {Promise<{status: string, key: string, manifest: (Object|undefined), uploadRequestId: (string|undefined)}>}
+ * What happened: `skipped` for keys that are not originals, `unchanged` for images that were processed before, and
+ * `processed` with the new manifest. `uploadRequestId` is the ID of the API request that stored the image, if known.
+ */
+const processImage = async (s3, bucket, key) => {
+    if (key.startsWith(images.RESIZED_PREFIX) || !images.isImageKey(key)) {
+        return { status: 'skipped', key: key };
+    }
+    const { Body, ETag, Metadata } = await s3.getObject({ Bucket: bucket, Key: key });
+    const input = await streamToBuffer(Body);
+    const uploadRequestId = Metadata ? Metadata['request-id'] : undefined;
+
+    if (isUpToDate(await readManifest(s3, bucket, key), ETag, key)) {
+        return { status: 'unchanged', key: key, uploadRequestId: uploadRequestId };
+    }
+    const { files, manifest } = await generateVariants(input, key, ETag);
+    for (const file of files) {
+        await s3.putObject({ Bucket: bucket, Key: file.key, Body: file.body, ContentType: file.contentType });
+    }
+    return { status: 'processed', key: key, manifest: manifest, uploadRequestId: uploadRequestId };
+};
+
+module.exports = {
+    streamToBuffer,
+    generateVariants,
+    isUpToDate,
+    processImage
+};
@@ -0,0 +1,300 @@
+/**
+ * @module images
+ * @description This module knows where movie posters live in the S3 bucket. Originals are stored under
+ * `original-images/`, and the resize Lambda (`handler.js`) writes the resized variants of each
+ * original, with a `manifest.json` describing them, into a folder named after the original under `resized-images/`:
+ * `original-images/abc.jpg` gets `resized-images/abc.jpg/thumb.jpg`, `resized-images/abc.jpg/thumb.webp` and so on.
+ * A movie's `ImagePath` holds the key of its original, from which all URLs are derived. Files uploaded directly to S3
+ * wait under `staged-uploads/` until they have been checked.
+ */
+const path = require('path');
+const config = require('./config.js');
+
+/**
+ * The bucket that holds the posters, from the `storage` settings.
+ */
+const BUCKET_NAME = config.get('storage').bucket;
+
+const ORIGINAL_PREFIX = 'original-images/';
+const RESIZED_PREFIX = 'resized-images/';
+const STAGING_PREFIX = 'staged-uploads/';
+
+/**
+ * Image types accepted for posters, with the file extension used for their keys.
+ */
+const IMAGE_TYPES = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/gif': '.gif'
+};
+
+// Formats the variants can be written in, with their file extensions
+const FORMAT_EXTENSIONS = {
+    jpeg: 'jpg',
+    png: 'png',
+    gif: 'gif',
+    webp: 'webp',
+    avif: 'avif'
+};
+
+// The variant sizes and formats, checked when the settings are loaded
+const imageSettings = config.get('images');
+
+/**
+ * @function variantConfig
+ * @description Returns the variants to generate, from `IMAGE_VARIANTS` (such as `thumb:300,card:600,hero:1280`), and
+ * the extra formats, from `IMAGE_FORMATS` (such as `webp,avif`). Both are read once, with the `images` settings.
+ * @returns {{variants: Object, formats: string[]}} The variant widths by name and the extra formats.
+ */
+const variantConfig = () => ({ variants: imageSettings.variants, formats: imageSettings.formats });
+
+/**
+ * @function s3ClientConfig
+ * @description Builds the configuration shared by every S3 client from the `storage` settings. `S3_ENDPOINT` points
+ * the clients at an S3-compatible server instead of AWS, such as MinIO or LocalStack during development and tests.
+ * Such servers usually need path-style URLs, so those are used with a custom endpoint unless `S3_FORCE_PATH_STYLE` is
+ * `false`.
+ * @returns {Object} The options for `new S3Client()`.
+ */
+const s3ClientConfig = () => {
+    const storage = config.get('storage');
+    const options = { region: storage.region };
+    if (storage.endpoint) {
+        options.endpoint = storage.endpoint;
+        options.forcePathStyle = storage.forcePathStyle;
+    }
+    return options;
+};
+
+/**
+ * @function imageBaseUrl
+ * @description Returns the URL the image keys are appended to: `IMAGE_BASE_URL` (for example a CDN in front of the
+ * bucket) or else the bucket's own URL on S3 or on the `S3_ENDPOINT` server.
+ * @returns {string} The base URL, without a trailing slash.
+ */
+const imageBaseUrl = () => {
+    if (imageSettings.baseUrl) {
+        return imageSettings.baseUrl;
+    }
+    const storage = config.get('storage');
+    if (storage.endpoint) {
+        return storage.endpoint.replace(/\/+$/, '') + '/' + BUCKET_NAME;
+    }
+    return `https://${BUCKET_NAME}.s3.${storage.region}.amazonaws.com`;
+};
+
+/**
+ * @function isImageKey
+ * @description Tells whether an `ImagePath` is the key of an original image in the bucket, rather than a free-form
+ * path or URL set before posters were uploaded to S3.
+ * @param {string} imagePath - The movie's `ImagePath`.
+ * @returns {boolean} `true` for a key under `original-images/`.
+ */
+const isImageKey = (imagePath) => typeof imagePath === 'string' && imagePath.startsWith(ORIGINAL_PREFIX);
+
+/**
+ * @function originalKey
+ * @description Builds the key of an original image.
+ * @param {string} fileName - The file name, without a folder.
+ * @returns {string} The key under `original-images/`.
+ */
+const originalKey = (fileName) => ORIGINAL_PREFIX + fileName;
+
+/**
+ * @function stagedKey
+ * @description Builds the key that a direct upload is sent to. The file stays there until the upload is completed
+ * and checked, so that neither the resize Lambda nor the image library sees it before.
+ * @param {string} fileName - The file name, without a folder.
+ * @returns {string} The key under `staged-uploads/`.
+ */
+const stagedKey = (fileName) => STAGING_PREFIX + fileName;
+
+/**
+ * @function sourceFormat
+ * @description Finds the format of an original image from its key. Variants in this format are always generated.
+ * @param {string} key - The key of the original image.
+ * @returns {string} `jpeg`, `png` or `gif`; `jpeg` for keys with any other extension.
+ */
+const sourceFormat = (key) => {
+    const contentType = contentTypeOf(key);
+    return contentType ? contentType.split('/')[1] : 'jpeg';
+};
+
+/**
+ * @function variantFormats
+ * @description Lists the formats the variants of an original image are made in: its own format first, then the
+ * configured extra formats.
+ * @param {string} key - The key of the original image.
+ * @returns {string[]} The formats, without duplicates.
+ */
+const variantFormats = (key) => [...new Set([sourceFormat(key)].concat(variantConfig().formats))];
+
+/**
+ * @function variantPrefix
+ * @description Builds the prefix of the folder that holds the variants and the manifest of an original image.
+ * @param {string} key - The key of the original image.
+ * @returns {string} The prefix under `resized-images/`, ending with a slash.
+ */
+const variantPrefix = (key) => RESIZED_PREFIX + key.split('/').pop() + '/';
+
+/**
+ * @function parseVariantKey
+ * @description Tells which original image, variant and format a key under `resized-images/` belongs to.
+ * @param {string} key - The key of a variant or manifest.
+ * @returns {{source: string, variant: (string|null), format: (string|null)}|null} The key of the original, and the
+ * variant name and format (both `null` for the manifest), or `null` if the key is not laid out like a variant.
+ */
+const parseVariantKey = (key) => {
+    const parts = key.slice(RESIZED_PREFIX.length).split('/');
+    if (!key.startsWith(RESIZED_PREFIX) || parts.length !== 2) {
+        return null;
+    }
+    const [folder, file] = parts;
+    if (file === 'manifest.json') {
+        return { source: originalKey(folder), variant: null, format: null };
+    }
+    const extension = path.extname(file).slice(1);
+    return {
+        source: originalKey(folder),
+        variant: path.basename(file, path.extname(file)),
+        format: Object.keys(FORMAT_EXTENSIONS).find((format) => FORMAT_EXTENSIONS[format] === extension) || null
+    };
+};
+
+/**
+ * @function variantKey
+ * @description Builds the key of one variant of an original image.
+ * @param {string} key - The key of the original image.
+ * @param {string} name - The variant name, such as `thumb`.
+ * @param {string} format - The variant format, such as `webp`.
+ * @returns {string} The key under `resized-images/`.
+ */
+const variantKey = (key, name, format) => variantPrefix(key) + name + '.' + FORMAT_EXTENSIONS[format];
+
+/**
+ * @function manifestKey
+ * @description Builds the key of the manifest that describes the variants of an original image.
+ * @param {string} key - The key of the original image.
+ * @returns {string} The key under `resized-images/`.
+ */
+const manifestKey = (key) => variantPrefix(key) + 'manifest.json';
+
+/**
+ * @function thumbnailKey
+ * @description Builds the key of the thumbnail the resize Lambda writes for an original image: the smallest variant
+ * in the original's format.
+ * @param {string} key - The key of the original image.
+ * @returns {string} The key under `resized-images/`.
+ */
+const thumbnailKey = (key) => {
+    const { variants } = variantConfig();
+    const smallest = Object.keys(variants).sort((a, b) => variants[a] - variants[b])[0];
+    return variantKey(key, smallest, sourceFormat(key));
+};
+
+/**
+ * @function posterKey
+ * @description Builds the key for a movie's poster. Uploading a new poster of the same type replaces the old one.
+ * @param {Object} movie - The movie document.
+ * @param {string} contentType - One of the `IMAGE_TYPES`.
+ * @returns {string} The key under `original-images/`.
+ */
+const posterKey = (movie, contentType) => originalKey(movie._id.toString() + IMAGE_TYPES[contentType]);
+
+/**
+ * @function contentTypeOf
+ * @description Looks up the image type of a file by its extension.
+ * @param {string} fileName - The file name.
+ * @returns {string|null} One of the `IMAGE_TYPES`, or `null` for any other file.
+ */
+const contentTypeOf = (fileName) => {
+    const extension = path.extname(fileName).toLowerCase();
+    if (extension === '.jpeg') {
+        return 'image/jpeg';
+    }
+    return Object.keys(IMAGE_TYPES).find((type) => IMAGE_TYPES[type] === extension) || null;
+};
+
+// The signatures at the start of the files of each image type
+const MAGIC_BYTES = {
+    'image/jpeg': [Buffer.from([0xFF, 0xD8, 0xFF])],
+    'image/png': [Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])],
+    'image/gif': [Buffer.from('GIF87a'), Buffer.from('GIF89a')]
+};
+
+/**
+ * @function detectImageType
+ * @description Detects the type of an image from the signature at the start of its content, regardless of the file
+ * name or the type the client declared.
+ * @param {Buffer} data - The file content.
+ * @returns {string|null} One of the `IMAGE_TYPES`, or `null` if the content is none of them.
+ */
+const detectImageType = (data) => {
+    return Object.keys(MAGIC_BYTES).find((type) => {
+        return MAGIC_BYTES[type].some((signature) => data.length >= signature.length &&
+            data.subarray(0, signature.length).equals(signature));
+    }) || null;
+};
+
+/**
+ * @function imageUrl
+ * @description Builds the public URL of an object in the bucket.
+ * @param {string} key - The key of the object.
+ * @returns {string} The URL, with each part of the key escaped.
+ */
+const imageUrl = (key) => imageBaseUrl() + '/' + key.split('/').map(encodeURIComponent).join('/');
+
+/**
+ * @function posterUrls
+ * @description Builds the URLs of a movie's poster for API responses. Besides the original and the thumbnail, every
+ * variant is listed with its width and a URL per format, ready for a `srcset`. The manifest also holds the actual
+ * dimensions of every variant and a tiny blurred placeholder.
+ * @param {string} imagePath - The movie's `ImagePath`.
+ * @returns {Object|null} The poster URLs as `{ original, thumbnail, manifest, variants }`. A free-form `ImagePath` is
+ * returned as the `original` alone; a movie without an `ImagePath` has no poster.
+ */
+const posterUrls = (imagePath) => {
+    if (!imagePath) {
+        return null;
+    }
+    if (!isImageKey(imagePath)) {
+        return { original: imagePath, thumbnail: null, manifest: null, variants: {} };
+    }
+    const { variants } = variantConfig();
+    const formats = variantFormats(imagePath);
+    return {
+        original: imageUrl(imagePath),
+        thumbnail: imageUrl(thumbnailKey(imagePath)),
+        manifest: imageUrl(manifestKey(imagePath)),
+        variants: Object.fromEntries(Object.keys(variants).map((name) => [name, {
+            width: variants[name],
+            urls: Object.fromEntries(formats.map((format) => [format, imageUrl(variantKey(imagePath, name, format))]))
+        }]))
+    };
+};
+
+module.exports = {
+    BUCKET_NAME,
+    ORIGINAL_PREFIX,
+    RESIZED_PREFIX,
+    STAGING_PREFIX,
+    IMAGE_TYPES,
+    variantConfig,
+    s3ClientConfig,
+    imageBaseUrl,
+    isImageKey,
+    originalKey,
+    stagedKey,
+    sourceFormat,
+    variantFormats,
+    variantPrefix,
+    parseVariantKey,
+    variantKey,
+    manifestKey,
+    thumbnailKey,
+    posterKey,
+    contentTypeOf,
+    detectImageType,
+    imageUrl,
+    posterUrls
+};
@@ -0,0 +1,338 @@
+const { check } = require('express-validator'),
+  passport = require('passport'),
+  _ = require('lodash'),
+  Models = require('./models.js'),
+  { requireSelfOrAdmin, requireVerified } = require('./authorization.js'),
+  { BadRequestError, ConflictError, NotFoundError, ValidationError, validate } = require('./errors.js'),
+  { checkMovieId } = require('./validators.js');
+
+/**
+ * The built-in lists every user has, addressed by these IDs instead of an ObjectId. They are created the first time
+ * they are changed, start out private, and can be neither renamed nor deleted. Their names cannot be used for custom
+ * lists.
+ */
+const BUILT_IN_LISTS = {
+  watchlist: 'Watch later',
+  watched: 'Watched'
+};
+
+// The names of the built-in lists, compared without regard to case
+const RESERVED_NAMES = Object.values(BUILT_IN_LISTS).map((name) => name.toLowerCase());
+
+// Helper function to describe a built-in list that has not been created yet as it will be created, so that reading
+// the lists does not write to the database. It has no `_id` yet.
+const unsavedBuiltInList = (owner, listId) => ({
+  Owner: owner._id,
+  Name: BUILT_IN_LISTS[listId],
+  Kind: listId,
+  Privacy: 'private',
+  Entries: []
+});
+
+// Validation rule for the name of a custom list
+const checkListName = (message) => check('Name', message).isString().trim().isLength({ min: 1, max: 100 }).bail()
+  .custom((value) => !RESERVED_NAMES.includes(value.toLowerCase())).withMessage('Name is reserved for a built-in list');
+
+// Validation rule for the list ID in the URL
+const checkListId = () => check('listId', 'listId must be a list ID, watchlist or watched')
+  .custom((value) => Boolean(BUILT_IN_LISTS[value]) || /^[0-9a-fA-F]{24}$/.test(value));
+
+// Helper function to pass errors on, reporting duplicate list names with a clearer message
+const handleError = (next) => (err) => {
+  if (err && err.code === 11000) {
+    return next(new ConflictError('A list with this name already exists'));
+  }
+  next(err);
+};
+
+const auth = passport.authenticate('jwt', { session: false, failWithError: true });
+
+
+/**
+ * @namespace ListRoutes
+ * @description Routes for a user's watchlist, watched history and custom named lists. Every `/users/:Username/lists`
+ * route is restricted to that user or an admin, and changing a list requires a verified email address.
+ * The built-in lists are addressed as `watchlist` and `watched`; custom lists by their ID.
+ */
+module.exports = (router, options = {}) => {
+  const models = options.models || Models;
+  const Users = models.User,
+    Movies = models.Movie,
+    MovieLists = models.MovieList;
+
+  // Helper function to look up the owner of the lists, or null when the user does not exist
+  const findOwner = (username) => Users.findOne({ Username: username }).select('_id');
+
+  // Helper function to find one of the owner's lists by ObjectId or built-in list ID. A built-in list that does not
+  // exist yet is created if `create` is set, and is not found otherwise.
+  const findList = (owner, listId, create) => {
+    if (BUILT_IN_LISTS[listId] && !create) {
+      return MovieLists.findOne({ Owner: owner._id, Kind: listId });
+    }
+    if (BUILT_IN_LISTS[listId]) {
+      return MovieLists.findOneAndUpdate(
+        { Owner: owner._id, Kind: listId },
+        { $setOnInsert: { Name: BUILT_IN_LISTS[listId], Privacy: 'private', Entries: [] } },
+        { new: true, upsert: true }
+      );
+    }
+    return MovieLists.findOne({ _id: listId, Owner: owner._id });
+  };
+
+  // The movies of a list, with their directors and cast, as populated for responses
+  const ENTRIES_POPULATE = { path: 'Entries.Movie', populate: models.MOVIE_POPULATE };
+
+  // Helper function to load a list with its movies for a response
+  const populateList = (list) => list.populate(ENTRIES_POPULATE);
+
+  // Helper function that resolves the owner and the list of a request, rejecting with a NotFoundError if either does
+  // not exist. Routes that change the list create a missing built-in list; the others get it unsaved.
+  const resolveList = async (req, { create = true } = {}) => {
+    const owner = await findOwner(req.params.Username);
+    if (!owner) {
+      throw new NotFoundError(req.params.Username + ' was not found');
+    }
+    const list = await findList(owner, req.params.listId, create);
+    if (list) {
+      return list;
+    }
+    if (BUILT_IN_LISTS[req.params.listId]) {
+      return unsavedBuiltInList(owner, req.params.listId);
+    }
+    throw new NotFoundError('List ' + req.params.listId + ' was not found');
+  };
+
+  /**
+   * @function getLists
+   * @memberof ListRoutes
+   * @description Returns all lists of the user, including the built-in lists, without their movies. Built-in lists
+   * that have not been created yet are included as they will be created, without an `_id`.
+   * @returns {Array} JSON array of lists with the number of movies in each.
+   */
+  router.get('/users/:Username/lists', auth, requireSelfOrAdmin, async (req, res, next) => {
+    await findOwner(req.params.Username)
+      .then(async (owner) => {
+        if (!owner) {
+          return next(new NotFoundError(req.params.Username + ' was not found'));
+        }
+        const lists = await MovieLists.find({ Owner: owner._id }).sort({ Kind: -1, Name: 1 }).lean();
+        const [builtIn, custom] = _.partition(lists, (list) => BUILT_IN_LISTS[list.Kind]);
+        // The built-in lists come first, whether they have been created yet or not
+        const builtInLists = Object.keys(BUILT_IN_LISTS)
+          .map((listId) => builtIn.find((list) => list.Kind === listId) || unsavedBuiltInList(owner, listId));
+        res.json(builtInLists.concat(custom)
+          .map((list) => Object.assign(_.omit(list, 'Entries'), { movieCount: list.Entries.length })));
+      })
+      .catch(next);
+  });
+
+  /**
+   * @function createList
+   * @memberof ListRoutes
+   * @description Creates a custom list.
+   * @param {Object} req - The request object containing the list `Name` and optional `Privacy` (`private` or `public`).
+   * @returns {Object} JSON object with the created list. Responds with 409 if the user already has a list with that
+   * name, and with 422 if the name is one of a built-in list.
+   */
+  router.post('/users/:Username/lists', auth, requireSelfOrAdmin, requireVerified,
+  [
+    checkListName('Name is required'),
+    check('Privacy', 'Privacy must be private or public').optional().isIn(['private', 'public'])
+  ], validate, async (req, res, next) => {
+    await findOwner(req.params.Username)
+      .then(async (owner) => {
+        if (!owner) {
+          return next(new NotFoundError(req.params.Username + ' was not found'));
+        }
+        const list = await MovieLists.create({
+          Owner: owner._id,
+          Name: req.body.Name,
+          Kind: 'custom',
+          Privacy: req.body.Privacy
+        });
+        res.status(201).json(list);
+      })
+      .catch(handleError(next));
+  });
+
+  /**
+   * @function getList
+   * @memberof ListRoutes
+   * @description Returns a list with its movies in order. A built-in list that has not been created yet is returned
+   * empty, without an `_id`.
+   * @returns {Object} JSON object with the list and its populated entries.
+   */
+  router.get('/users/:Username/lists/:listId', auth, requireSelfOrAdmin, [checkListId()], validate, async (req, res, next) => {
+    await resolveList(req, { create: false })
+      .then(async (list) => res.json(list._id ? await populateList(list) : list))
+      .catch(next);
+  });
+
+  /**
+   * @function updateList
+   * @memberof ListRoutes
+   * @description Renames a custom list or changes the privacy of any list. Built-in lists cannot be renamed, and custom
+   * lists cannot take the name of a built-in list.
+   * @param {Object} req - The request object containing the new `Name` and/or `Privacy`.
+   * @returns {Object} JSON object with the updated list.
+   */
+  router.patch('/users/:Username/lists/:listId', auth, requireSelfOrAdmin, requireVerified,
+  [
+    checkListId(),
+    checkListName('Name must be between 1 and 100 characters').optional(),
+    check('Privacy', 'Privacy must be private or public').optional().isIn(['private', 'public'])
+  ], validate, async (req, res, next) => {
+    await resolveList(req)
+      .then(async (list) => {
+        if (req.body.Name !== undefined && list.Kind !== 'custom') {
+          return next(new BadRequestError('Built-in lists cannot be renamed'));
+        }
+        const updatedList = await MovieLists.findByIdAndUpdate(list._id,
+          { $set: _.pick(req.body, ['Name', 'Privacy']) },
+          { new: true, runValidators: true });
+        res.json(await populateList(updatedList));
+      })
+      .catch(handleError(next));
+  });
+
+  /**
+   * @function deleteList
+   * @memberof ListRoutes
+   * @description Deletes a custom list. Built-in lists cannot be deleted.
+   * @returns {Object} JSON object with a confirmation `message`, or an error.
+   */
+  router.delete('/users/:Username/lists/:listId', auth, requireSelfOrAdmin, requireVerified, [checkListId()], validate, async (req, res, next) => {
+    await resolveList(req, { create: false })
+      .then(async (list) => {
+        if (list.Kind !== 'custom') {
+          return next(new BadRequestError('Built-in lists cannot be deleted'));
+        }
+        await MovieLists.deleteOne({ _id: list._id });
+        res.json({ message: list.Name + ' was deleted.' });
+      })
+      .catch(next);
+  });
+
+  /**
+   * @function addListMovie
+   * @memberof ListRoutes
+   * @description Adds a movie to the end of a list. The movie must exist and can only be in a list once. Movies added
+   * to the `watched` list record when they were watched: `WatchedAt` in the body, or now.
+   * @returns {Object} JSON object with the updated list. Responds with 404 if the movie does not exist and 409 if it
+   * is already in the list.
+   */
+  router.post('/users/:Username/lists/:listId/movies/:MovieID', auth, requireSelfOrAdmin, requireVerified,
+  [
+    checkListId(),
+    checkMovieId('MovieID'),
+    check('WatchedAt', 'WatchedAt must be a valid date').optional().isISO8601().toDate()
+  ], validate, async (req, res, next) => {
+    await Movies.exists({ _id: req.params.MovieID })
+      .then(async (movie) => {
+        if (!movie) {
+          return next(new NotFoundError('Movie ' + req.params.MovieID + ' was not found'));
+        }
+        const list = await resolveList(req);
+        const entry = { Movie: req.params.MovieID, AddedAt: new Date() };
+        if (list.Kind === 'watched') {
+          entry.WatchedAt = req.body.WatchedAt || new Date();
+        }
+        // The filter only matches while the movie is not in the list yet, so it is never added twice
+        const updatedList = await MovieLists.findOneAndUpdate(
+          { _id: list._id, 'Entries.Movie': { $ne: req.params.MovieID } },
+          { $push: { Entries: entry } },
+          { new: true }
+        );
+        if (!updatedList) {
+          return next(new ConflictError('Movie ' + req.params.MovieID + ' is already in the list'));
+        }
+        res.json(await populateList(updatedList));
+      })
+      .catch(next);
+  });
+
+  /**
+   * @function deleteListMovie
+   * @memberof ListRoutes
+   * @description Removes a movie from a list.
+   * @returns {Object} JSON object with the updated list. Responds with 404 if the movie is not in the list.
+   */
+  router.delete('/users/:Username/lists/:listId/movies/:MovieID', auth, requireSelfOrAdmin, requireVerified,
+  [
+    checkListId(),
+    checkMovieId('MovieID')
+  ], validate, async (req, res, next) => {
+    await resolveList(req)
+      .then(async (list) => {
+        const updatedList = await MovieLists.findOneAndUpdate(
+          { _id: list._id, 'Entries.Movie': req.params.MovieID },
+          { $pull: { Entries: { Movie: req.params.MovieID } } },
+          { new: true }
+        );
+        if (!updatedList) {
+          return next(new NotFoundError('Movie ' + req.params.MovieID + ' is not in the list'));
+        }
+        res.json(await populateList(updatedList));
+      })
+      .catch(next);
+  });
+
+  /**
+   * @function reorderList
+   * @memberof ListRoutes
+   * @description Puts the movies of a list in a new order.
+   * @param {Object} req - The request object containing `MovieIDs`, every movie ID of the list exactly once, in the new order.
+   * @returns {Object} JSON object with the reordered list. Responds with 409 if the list changed in the meantime.
+   */
+  router.put('/users/:Username/lists/:listId/order', auth, requireSelfOrAdmin, requireVerified,
+  [
+    checkListId(),
+    check('MovieIDs', 'MovieIDs must be an array of movie IDs').isArray(),
+    checkMovieId('MovieIDs.*')
+  ], validate, async (req, res, next) => {
+    await resolveList(req)
+      .then(async (list) => {
+        const entries = _.keyBy(list.Entries, (entry) => entry.Movie.toString());
+        const movieIds = _.uniq(req.body.MovieIDs);
+        if (movieIds.length !== req.body.MovieIDs.length || movieIds.length !== list.Entries.length ||
+          !movieIds.every((movieId) => entries[movieId])) {
+          return next(new ValidationError([{ path: 'MovieIDs', msg: 'MovieIDs must contain every movie of the list exactly once' }]));
+        }
+        // An empty list has no order to change, and `$all` with no values would never match it
+        if (movieIds.length === 0) {
+          return res.json(await populateList(list));
+        }
+        // The filter makes sure the list still holds exactly these movies, so a concurrent change is not overwritten
+        const updatedList = await MovieLists.findOneAndUpdate(
+          { _id: list._id, Entries: { $size: movieIds.length }, 'Entries.Movie': { $all: movieIds } },
+          { $set: { Entries: movieIds.map((movieId) => entries[movieId].toObject()) } },
+          { new: true }
+        );
+        if (!updatedList) {
+          return next(new ConflictError('The list was changed, please reload it and try again'));
+        }
+        res.json(await populateList(updatedList));
+      })
+      .catch(next);
+  });
+
+  /**
+   * @function getPublicList
+   * @memberof ListRoutes
+   * @description Returns a public list by ID so that it can be shared. Anyone with the link can read it, but nobody
+   * can change it here. Private lists are reported as not found.
+   * @returns {Object} JSON object with the list, its owner's username and its populated entries.
+   */
+  router.get('/lists/:listId', [check('listId', 'listId must be a valid list ID').isMongoId()], validate, async (req, res, next) => {
+    await MovieLists.findOne({ _id: req.params.listId, Privacy: 'public' })
+      .populate(ENTRIES_POPULATE)
+      .populate('Owner', 'Username')
+      .then((list) => {
+        if (!list) {
+          return next(new NotFoundError('List ' + req.params.listId + ' was not found'));
+        }
+        res.json(list);
+      })
+      .catch(next);
+  });
+}
@@ -0,0 +1,150 @@
+/**
+ * @module logger
+ * @description This module writes the logs of the API and the resize Lambda as JSON lines on standard output, one
+ * object per entry with its `time`, `level` and `msg`, so that CloudWatch or any other collector can search them by
+ * field. The level is set with `LOG_LEVEL` (see the config module).
+ *
+ * Credentials never reach the logs: fields named like a password, secret, token or authorization header are
+ * replaced, and so are bearer tokens and the credentials of URLs in any logged string.
+ */
+const config = require('./config.js');
+
+// Entries below the configured level are dropped; `silent` drops all of them
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+const REDACTED = '[redacted]';
+
+// Field names whose values are never logged
+const SECRET_FIELD_PATTERN = /password|^pass$|secret|token|authorization|cookie|^jwt/i;
+
+// Nested values deeper than this are cut off, which also keeps circular references out
+const MAX_DEPTH = 6;
+
+// Helper function to hide bearer tokens and URL credentials, such as those of a MongoDB URI, in a string
+const redactString = (value) => value
+    .replace(/(bearer\s+)[\w.~+/=-]+/gi, '$1' + REDACTED)
+    .replace(/(\/\/)[^@/\s]+@/g, '$1' + REDACTED + '@');
+
+/**
+ * @function redact
+ * @description Copies a value for logging with its secrets hidden. Errors become plain objects with their name,
+ * message, code and stack.
+ * @param {*} value - The value.
+ * @param {number} [depth] - How deep the value is nested already.
+ * @returns {*} The copy.
+ */
+const redact = (value, depth = 0) => {
+    if (typeof value === 'string') {
+        return redactString(value);
+    }
+    if (value === null || typeof value !== 'object') {
+        return value;
+    }
+    if (depth >= MAX_DEPTH) {
+        return '[truncated]';
+    }
+    if (value instanceof Error) {
+        const error = { name: value.name, message: redactString(value.message) };
+        if (value.code !== undefined) {
+            error.code = value.code;
+        }
+        if (value.stack) {
+            error.stack = redactString(value.stack);
+        }
+        return error;
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (Array.isArray(value)) {
+        return value.map((item) => redact(item, depth + 1));
+    }
+    if (typeof value.toJSON === 'function') { // Mongoose documents, ObjectIds and the like
+        return redact(value.toJSON(), depth);
+    }
+    const copy = {};
+    Object.keys(value).forEach((key) => {
+        copy[key] = SECRET_FIELD_PATTERN.test(key) ? REDACTED : redact(value[key], depth + 1);
+    });
+    return copy;
+};
+
+/**
+ * @typedef {Object} Logger
+ * @description Writes log entries. Each method takes the message and optional fields to log with it.
+ * @property {function(string, Object=): void} debug - Logs details for development.
+ * @property {function(string, Object=): void} info - Logs what the application did, such as a request.
+ * @property {function(string, Object=): void} warn - Logs something unusual that the application recovered from.
+ * @property {function(string, Object=): void} error - Logs a failure, with the error in the `error` field.
+ * @property {function(Object): Logger} child - Creates a logger that adds the given fields to every entry, such as
+ * a request ID.
+ */
+
+/**
+ * @function createLogger
+ * @description Creates a logger.
+ * @param {Object} [options] - Options for the logger.
+ * @param {string} [options.level] - The lowest level to write: `debug`, `info`, `warn`, `error` or `silent`.
+ * Defaults to `info`.
+ * @param {Object} [options.fields] - Fields to add to every entry.
+ * @param {function(string): void} [options.write] - Writes one line. Defaults to writing to standard output.
+ * @returns {Logger} The logger.
+ */
+const createLogger = ({ level = 'info', fields = {}, write = (line) => process.stdout.write(line + '\n') } = {}) => {
+    const threshold = LEVELS[level];
+    const log = (entryLevel) => (message, entryFields = {}) => {
+        if (LEVELS[entryLevel] < threshold) {
+            return;
+        }
+        const entry = Object.assign({ time: new Date().toISOString(), level: entryLevel, msg: message },
+            redact(fields), redact(entryFields));
+        write(JSON.stringify(entry));
+    };
+    return {
+        debug: log('debug'),
+        info: log('info'),
+        warn: log('warn'),
+        error: log('error'),
+        child: (childFields) => createLogger({ level: level, fields: Object.assign({}, fields, childFields), write: write })
+    };
+};
+
+/**
+ * The application's logger, at the level configured with `LOG_LEVEL`.
+ * @type {Logger}
+ */
+const logger = createLogger({ level: config.get('logging').level });
+
+/**
+ * @function requestLogger
+ * @description Builds the middleware that gives every request a logger in `req.log`, which adds the request ID to
+ * every entry, and writes an access log entry with the status and latency once the response is sent. Mount it after
+ * the `requestId` middleware of the errors module.
+ * @param {Logger} [log] - The logger to write to. Defaults to the application's logger.
+ * @returns {Function} The middleware.
+ */
+const requestLogger = (log = logger) => (req, res, next) => {
+    const start = process.hrtime.bigint();
+    req.log = log.child({ requestId: req.id });
+    res.on('finish', () => {
+        const fields = {
+            method: req.method,
+            path: req.originalUrl.split('?')[0], // Query strings are left out, since they can carry tokens
+            status: res.statusCode,
+            durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e4) / 100,
+            ip: req.ip
+        };
+        if (req.user) {
+            fields.userId = String(req.user._id);
+        }
+        req.log.info('Request completed', fields);
+    });
+    next();
+};
+
+module.exports = {
+    createLogger,
+    logger,
+    redact,
+    requestLogger
+};
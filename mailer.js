@@ -0,0 +1,147 @@
+/**
+ * @module mailer
+ * @description This module sends the emails of the application, such as password resets and email verification.
+ * Mail is delivered through a pluggable transport: any object with an async `send(message)` method. Production sends
+ * through Amazon SES (`MAIL_TRANSPORT=ses`). The console and file transports are meant for local development and
+ * tests: the console transport only logs that a message was sent, since the messages carry tokens, and
+ * `MAIL_TRANSPORT=file` writes every message to `MAIL_DIR` to be read there (see the config module's `mail` section).
+ */
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { SESv2Client, SendEmailCommand } = require('@aws-sdk/client-sesv2');
+const config = require('./config.js');
+const { logger } = require('./logger.js');
+
+/**
+ * @typedef {Object} MailMessage
+ * @description An email to send.
+ * @property {string} to - The recipient's email address.
+ * @property {string} subject - The subject line.
+ * @property {string} text - The plain text body.
+ */
+
+/**
+ * @function createConsoleTransport
+ * @description Creates a transport that logs the recipient and subject of every message. The text is never logged,
+ * since it holds the token.
+ * @returns {{send: function(MailMessage): Promise<void>}} The transport.
+ */
+const createConsoleTransport = () => ({
+    send: async (message) => {
+        logger.info('Mail logged instead of sent', { to: message.to, subject: message.subject });
+    }
+});
+
+/**
+ * @function createFileTransport
+ * @description Creates a transport that writes every message as a JSON file into a directory.
+ * @param {string} directory - The directory to write the messages to. It is created if it does not exist.
+ * @returns {{send: function(MailMessage): Promise<void>}} The transport.
+ */
+const createFileTransport = (directory) => ({
+    send: async (message) => {
+        await fs.promises.mkdir(directory, { recursive: true });
+        const fileName = `${Date.now()}-${uuidv4()}.json`;
+        await fs.promises.writeFile(
+            path.join(directory, fileName),
+            JSON.stringify(Object.assign({ sentAt: new Date().toISOString() }, message), null, 2)
+        );
+    }
+});
+
+/**
+ * @function createSesTransport
+ * @description Creates a transport that sends every message as plain text through Amazon SES.
+ * @param {string} from - The sender, an address or domain verified in SES.
+ * @param {SESv2Client} client - The SES client. AWS credentials come from the environment or the instance role.
+ * @returns {{send: function(MailMessage): Promise<void>}} The transport.
+ */
+const createSesTransport = (from, client) => ({
+    send: async (message) => {
+        await client.send(new SendEmailCommand({
+            FromEmailAddress: from,
+            Destination: { ToAddresses: [message.to] },
+            Content: { Simple: { Subject: { Data: message.subject }, Body: { Text: { Data: message.text } } } }
+        }));
+    }
+});
+
+// The configured transport is only created when the first message is sent, unless another one was set before
+let transport;
+
+// Helper function to create the transport named in the settings
+const configuredTransport = () => {
+    const mail = config.get('mail');
+    if (mail.transport === 'ses') {
+        return createSesTransport(mail.from, new SESv2Client({ region: mail.region }));
+    }
+    return mail.transport === 'file' ? createFileTransport(mail.dir) : createConsoleTransport();
+};
+
+/**
+ * @function setTransport
+ * @description Replaces the transport used to deliver mail, e.g. with an SMTP transport.
+ * @param {{send: function(MailMessage): Promise<void>}} newTransport - The transport to use.
+ * @returns {void}
+ */
+const setTransport = (newTransport) => {
+    transport = newTransport;
+};
+
+/**
+ * @function sendMail
+ * @description Sends a message through the current transport.
+ * @param {MailMessage} message - The message to send.
+ * @returns {Promise<void>}
+ */
+const sendMail = (message) => {
+    if (!transport) {
+        transport = configuredTransport();
+    }
+    return transport.send(message);
+};
+
+// Helper function to add a link to the client app to a message, when the app URL is configured
+const appLink = (route, token) => {
+    const appUrl = config.get('mail').appUrl;
+    return appUrl ? `\n\nOr open ${appUrl}/${route}?token=${encodeURIComponent(token)}` : '';
+};
+
+/**
+ * @function sendVerificationEmail
+ * @description Sends the token a new user needs to confirm their email address.
+ * @param {Object} user - The user document.
+ * @param {string} token - The email verification token.
+ * @returns {Promise<void>}
+ */
+const sendVerificationEmail = (user, token) => sendMail({
+    to: user.Email,
+    subject: 'Confirm your myFlix email address',
+    text: `Hi ${user.Username},\n\nConfirm your email address with this token:\n\n${token}` + appLink('verify-email', token)
+});
+
+/**
+ * @function sendPasswordResetEmail
+ * @description Sends the token a user needs to choose a new password.
+ * @param {Object} user - The user document.
+ * @param {string} token - The password reset token.
+ * @returns {Promise<void>}
+ */
+const sendPasswordResetEmail = (user, token) => sendMail({
+    to: user.Email,
+    subject: 'Reset your myFlix password',
+    text: `Hi ${user.Username},\n\nReset your password with this token. It expires in one hour and works only once:\n\n${token}`
+        + appLink('reset-password', token)
+        + '\n\nIf you did not ask to reset your password, you can ignore this email.'
+});
+
+module.exports = {
+    createConsoleTransport,
+    createFileTransport,
+    createSesTransport,
+    setTransport,
+    sendMail,
+    sendVerificationEmail,
+    sendPasswordResetEmail
+};
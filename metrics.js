@@ -0,0 +1,144 @@
+/**
+ * @module metrics
+ * @description This module collects the metrics of the API in Prometheus format, served at `GET /metrics`: requests
+ * and their latency per route, the timings of MongoDB commands, uploads and their sizes, and the outcomes of the
+ * resize handler, besides the usual Node.js process metrics.
+ *
+ * The resize handler normally runs in Lambda, whose process is never scraped; there it also logs a summary of each
+ * invocation (see the handler module), which CloudWatch metric filters can count instead.
+ */
+const client = require('prom-client');
+
+/**
+ * The registry of all metrics.
+ * @type {client.Registry}
+ */
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+// Buckets in seconds, from a cached lookup to a slow image upload
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Buckets in bytes, from a thumbnail to the largest accepted upload
+const SIZE_BUCKETS = [16 * 1024, 64 * 1024, 256 * 1024, 1024 * 1024, 2 * 1024 * 1024, 5 * 1024 * 1024, 10 * 1024 * 1024];
+
+const httpRequests = new client.Counter({
+    name: 'http_requests_total',
+    help: 'HTTP requests by method, route and status',
+    labelNames: ['method', 'route', 'status'],
+    registers: [registry]
+});
+
+const httpRequestDuration = new client.Histogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP request latency by method, route and status',
+    labelNames: ['method', 'route', 'status'],
+    buckets: DURATION_BUCKETS,
+    registers: [registry]
+});
+
+const mongoCommandDuration = new client.Histogram({
+    name: 'mongodb_command_duration_seconds',
+    help: 'MongoDB command latency by command and outcome',
+    labelNames: ['command', 'outcome'],
+    buckets: DURATION_BUCKETS,
+    registers: [registry]
+});
+
+const uploads = new client.Counter({
+    name: 'uploads_total',
+    help: 'Image uploads by outcome: stored, failed (S3 did not store it) or refused (not an acceptable image)',
+    labelNames: ['outcome'],
+    registers: [registry]
+});
+
+const uploadSize = new client.Histogram({
+    name: 'upload_size_bytes',
+    help: 'Size of the stored image uploads',
+    buckets: SIZE_BUCKETS,
+    registers: [registry]
+});
+
+const resizes = new client.Counter({
+    name: 'image_resize_total',
+    help: 'Images handled by the resize handler by status: processed, unchanged, skipped or failed',
+    labelNames: ['status'],
+    registers: [registry]
+});
+
+const resizeDuration = new client.Histogram({
+    name: 'image_resize_duration_seconds',
+    help: 'Time the resize handler took per image by status',
+    labelNames: ['status'],
+    buckets: DURATION_BUCKETS,
+    registers: [registry]
+});
+
+// Helper function to name the route of a request by its pattern, such as `/movies/:id`, so that IDs do not each
+// become a label value of their own. Requests that no route handled share one name.
+const routeOf = (req) => req.route ? req.baseUrl + req.route.path : 'unmatched';
+
+/**
+ * @function requestMetrics
+ * @description Builds the middleware that counts every request and observes its latency once the response is sent.
+ * @returns {Function} The middleware.
+ */
+const requestMetrics = () => (req, res, next) => {
+    const stopTimer = httpRequestDuration.startTimer();
+    res.on('finish', () => {
+        const labels = { method: req.method, route: routeOf(req), status: String(res.statusCode) };
+        httpRequests.inc(labels);
+        stopTimer(labels);
+    });
+    next();
+};
+
+/**
+ * @function instrumentMongo
+ * @description Observes the duration of every command of a MongoDB client. The client must be connected with
+ * `monitorCommands: true`.
+ * @param {MongoClient} mongoClient - The client, such as `mongoose.connection.getClient()`.
+ * @returns {void}
+ */
+const instrumentMongo = (mongoClient) => {
+    mongoClient.on('commandSucceeded', (event) => {
+        mongoCommandDuration.observe({ command: event.commandName, outcome: 'success' }, event.duration / 1000);
+    });
+    mongoClient.on('commandFailed', (event) => {
+        mongoCommandDuration.observe({ command: event.commandName, outcome: 'failure' }, event.duration / 1000);
+    });
+};
+
+/**
+ * @function recordUpload
+ * @description Counts an upload, and observes its size if it was stored.
+ * @param {string} outcome - `stored`, `failed` or `refused`.
+ * @param {number} [size] - The size in bytes.
+ * @returns {void}
+ */
+const recordUpload = (outcome, size) => {
+    uploads.inc({ outcome: outcome });
+    if (outcome === 'stored' && size !== undefined) {
+        uploadSize.observe(size);
+    }
+};
+
+/**
+ * @function recordResize
+ * @description Counts an image handled by the resize handler and observes how long it took.
+ * @param {string} status - `processed`, `unchanged`, `skipped` or `failed`.
+ * @param {number} seconds - The time taken.
+ * @returns {void}
+ */
+const recordResize = (status, seconds) => {
+    resizes.inc({ status: status });
+    resizeDuration.observe({ status: status }, seconds);
+};
+
+module.exports = {
+    registry,
+    requestMetrics,
+    instrumentMongo,
+    recordUpload,
+    recordResize
+};
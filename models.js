@@ -1,21 +1,37 @@
 /**
  * @module models
- * @description This module defines the data models used in the application, including `Movie` and `User`.
- * It also includes methods for hashing and validating user passwords.
+ * @description This module defines the Mongoose models of the application: the movie catalog, users and their
+ * sessions and tokens, movie lists, reviews, uploads and the audit trail. It also hashes and validates user passwords.
  */
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const images = require('./images.js');
+const config = require('./config.js');
+
+// Account lockout policy: after `maxFailedLogins` failed attempts in a row (see the config module's `auth` section)
+// the account is locked. The lock lasts LOCKOUT_BASE_MS and doubles with every further lockout, up to LOCKOUT_MAX_MS.
+const LOCKOUT_BASE_MS = 60 * 1000;
+const LOCKOUT_MAX_MS = 24 * 60 * 60 * 1000;
+// Number of lockout events kept on a user
+const LOCKOUT_HISTORY = 20;
 
 /**
  * @schema Movie
- * @description Mongoose schema for a Movie. Contains fields such as title, description, genre, director, and more.
+ * @description Mongoose schema for a Movie. Contains fields such as title, description, genres, director, cast, and more.
  * @property {string} Title - The title of the movie.
  * @property {string} Description - A description of the movie plot.
- * @property {Genre} Genre - An object containing genre information.
- * @property {Director} Director - An object containing director information.
- * @property {string[]} Actors - An array of actor names who starred in the movie.
- * @property {string} ImagePath - The URL path to an image representing the movie (e.g., a poster).
+ * @property {number} ReleaseYear - The year the movie was released.
+ * @property {number} Runtime - The running time in minutes.
+ * @property {string} Certificate - The rating certificate (e.g., PG-13, R).
+ * @property {Genre[]} Genres - The genres of the movie.
+ * @property {ObjectId} Director - The ID of the movie's director in the directors collection.
+ * @property {CastMember[]} Actors - The cast: the actors who starred in the movie and the characters they played.
+ * @property {string} ImagePath - The S3 key of the movie's poster under `original-images/`, or a path or URL to an
+ * image set before posters were stored in S3.
  * @property {boolean} Featured - A boolean indicating whether the movie is featured.
+ * @property {number} AverageRating - The average user rating (1-10), rounded to one decimal, or `null` without ratings.
+ * @property {number} RatingCount - The number of user ratings.
  */ 
 
 /**
@@ -26,35 +42,133 @@ const bcrypt = require('bcrypt');
  */
 
 /**
- * @typedef {Object} Director
- * @description Represents a movie director.
- * @property {string} Name - The name of the director.
- * @property {string} Bio - A brief biography of the director.
+ * @typedef {Object} CastMember
+ * @description Represents an actor in a movie.
+ * @property {ObjectId} Person - The ID of the actor in the people collection.
+ * @property {string} Character - The name of the character they played.
  */
 let movieSchema = mongoose.Schema({
     Title: {type: String, required: true},
     Description: {type: String, required: true},
-    Genre:  {
-        Name: String,
+    ReleaseYear: Number,
+    Runtime: Number,
+    Certificate: String,
+    Genres: [{
+        _id: false,
+        Name: {type: String, required: true},
         Description: String
-    },
-    Director: {
-        Name: String,
-        Bio: String
-    },
-    Actors : [String],
+    }],
+    Director: {type: mongoose.Schema.Types.ObjectId, ref: 'Director', index: true},
+    Actors: [{
+        _id: false,
+        Person: {type: mongoose.Schema.Types.ObjectId, ref: 'Person', required: true, index: true},
+        Character: String
+    }],
     ImagePath: String,
-    Featured: Boolean
+    Featured: Boolean,
+    AverageRating: {type: Number, default: null},
+    RatingCount: {type: Number, default: 0}
 });
 
+/**
+ * The references that are populated whenever movies are returned, so that responses show the director and the cast
+ * by name. Use with `query.populate(MOVIE_POPULATE)`.
+ */
+const MOVIE_POPULATE = [
+    { path: 'Director' },
+    { path: 'Actors.Person', select: 'Name' }
+];
+
+/**
+ * @function serialize
+ * @description Static method to shape a movie with populated references for API responses. The director is returned
+ * as an object, as it was when directors were embedded in movies, and each cast member as `{ _id, Name, Character }`,
+ * where `_id` is the person's ID. The `Poster` URLs of the original and the thumbnail are added from the `ImagePath`.
+ * Also used by `toJSON`, so it works for documents and for lean query results alike.
+ * @param {Object} movie - The movie as a plain object.
+ * @returns {Object} The movie in its response shape.
+ */
+movieSchema.statics.serialize = (movie) => {
+    if (Array.isArray(movie.Actors)) {
+        movie.Actors = movie.Actors.map((actor) => {
+            if (!actor.Person || !actor.Person.Name) {
+                return actor;
+            }
+            return { _id: actor.Person._id, Name: actor.Person.Name, Character: actor.Character };
+        });
+    }
+    movie.Poster = images.posterUrls(movie.ImagePath);
+    return movie;
+};
+
+movieSchema.set('toJSON', {
+    transform: (doc, ret) => movieSchema.statics.serialize(ret)
+});
+
+/**
+ * The collation under which director and person names are unique: names that differ only in case are the same name.
+ * Queries by name use it too, so that they match the unique index. Use with `query.collation(NAME_COLLATION)`.
+ */
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+/**
+ * @schema Director
+ * @description Mongoose schema for a director. Movies reference their director, so a director's details are stored once.
+ * @property {string} Name - The name of the director, unique regardless of case.
+ * @property {string} Bio - A brief biography of the director.
+ * @property {Date} Birth - The director's date of birth.
+ * @property {Date} Death - The director's date of death, if they have died.
+ */
+let directorSchema = mongoose.Schema({
+    Name: {type: String, required: true, trim: true},
+    Bio: String,
+    Birth: Date,
+    Death: Date
+});
+
+directorSchema.index({ Name: 1 }, { unique: true, collation: NAME_COLLATION });
+
+/**
+ * @schema Person
+ * @description Mongoose schema for a person who acted in movies. Movies reference the people in their cast.
+ * @property {string} Name - The name of the person, unique regardless of case.
+ * @property {string} Bio - A brief biography of the person.
+ * @property {Date} Birth - The person's date of birth.
+ * @property {Date} Death - The person's date of death, if they have died.
+ */
+let personSchema = mongoose.Schema({
+    Name: {type: String, required: true, trim: true},
+    Bio: String,
+    Birth: Date,
+    Death: Date
+});
+
+personSchema.index({ Name: 1 }, { unique: true, collation: NAME_COLLATION });
+
 /**
  * @schema User
  * @description Mongoose schema for a User. Contains fields such as username, password, email, birthday, and favorite movies.
  * @property {string} Username - The unique username for the user (must be alphanumeric).
  * @property {string} Password - The user's hashed password.
- * @property {string} Email - The user's email address.
+ * @property {string} Email - The user's email address, unique across users.
  * @property {Date} Birthday - The user's date of birth.
  * @property {ObjectId[]} FavoriteMovies - An array of movie IDs (ObjectIds) that the user has marked as favorites.
+ * @property {string} Role - The user's role, either `user` or `admin`. Defaults to `user`.
+ * @property {number} TokenVersion - Incremented to invalidate every token issued to the user ("log out all sessions").
+ * @property {number} FailedLoginAttempts - The number of failed logins since the last successful login or lockout.
+ * @property {Date} LockUntil - The time until which logins are refused after too many failed attempts.
+ * @property {number} LockoutCount - The number of lockouts since the last successful login; each one doubles the lock.
+ * @property {LockoutEvent[]} LockoutEvents - The most recent lockouts of the account.
+ * @property {boolean} Verified - Whether the user confirmed their email address. Accounts created before email
+ * verification existed have no value and are treated as verified.
+ */
+
+/**
+ * @typedef {Object} LockoutEvent
+ * @description Records an account lockout.
+ * @property {Date} LockedAt - When the account was locked.
+ * @property {Date} LockedUntil - When the lock ends.
+ * @property {string} Ip - The IP address of the last failed attempt.
  */
 
 /**
@@ -65,13 +179,45 @@ let movieSchema = mongoose.Schema({
  * @property {string} Email - The email address of the user.
  * @property {Date} Birthday - The user's birthdate.
  * @property {ObjectId[]} FavoriteMovies - A list of movie IDs marked as favorites by the user.
+ * @property {string} Role - The role of the user (`user` or `admin`).
+ * @property {number} TokenVersion - The version that access tokens must carry to be accepted.
  */
 let userSchema = mongoose.Schema({
-    Username: {type: String, required: true},
+    Username: {type: String, required: true, unique: true},
     Password: {type: String, required: true},
-    Email: {type: String, required: true},
+    Email: {type: String, required: true, unique: true},
     Birthday: Date,
-    FavoriteMovies: [{ type: mongoose.Schema.Types.ObjectId, ref:'Movie'}]
+    FavoriteMovies: [{ type: mongoose.Schema.Types.ObjectId, ref:'Movie'}],
+    Role: {type: String, enum: ['user', 'admin'], default: 'user'},
+    TokenVersion: {type: Number, default: 0},
+    FailedLoginAttempts: {type: Number, default: 0},
+    LockUntil: Date,
+    LockoutCount: {type: Number, default: 0},
+    LockoutEvents: [{
+        _id: false,
+        LockedAt: Date,
+        LockedUntil: Date,
+        Ip: String
+    }],
+    Verified: Boolean
+});
+
+/**
+ * @function toJSON
+ * @description Serializes a user for API responses. The password hash is always removed, so it is never sent to a client,
+ * and so are the internal token and lockout fields.
+ * @returns {Object} The user data without the `Password`, `TokenVersion` and lockout fields.
+ */
+userSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.Password;
+        delete ret.TokenVersion;
+        delete ret.FailedLoginAttempts;
+        delete ret.LockUntil;
+        delete ret.LockoutCount;
+        delete ret.LockoutEvents;
+        return ret;
+    }
 });
 
 /**
@@ -94,6 +240,280 @@ userSchema.methods.validatePassword = function(password) {
     return bcrypt.compareSync(password, this.Password);
 };
 
+/**
+ * @function isLocked
+ * @description Instance method to check whether the account is currently locked after too many failed logins.
+ * @returns {boolean} `true` if logins are currently refused, otherwise `false`.
+ */
+userSchema.methods.isLocked = function() {
+    return Boolean(this.LockUntil && this.LockUntil > Date.now());
+};
+
+/**
+ * @function registerFailedLogin
+ * @description Instance method to count a failed login. Once the limit is reached the account is locked with
+ * exponential backoff and the lockout is recorded in `LockoutEvents`.
+ * @param {string} ip - The IP address the attempt came from.
+ * @returns {Promise<void>}
+ */
+userSchema.methods.registerFailedLogin = async function(ip) {
+    const user = await this.constructor.findOneAndUpdate(
+        { _id: this._id },
+        { $inc: { FailedLoginAttempts: 1 } },
+        { new: true }
+    );
+    const maxFailedLogins = config.get('auth').maxFailedLogins;
+    if (!user || user.FailedLoginAttempts < maxFailedLogins) {
+        return;
+    }
+    const now = new Date();
+    const lockUntil = new Date(now.getTime() + Math.min(LOCKOUT_BASE_MS * 2 ** user.LockoutCount, LOCKOUT_MAX_MS));
+    // The attempt count in the filter makes sure concurrent failures lock the account only once
+    await this.constructor.updateOne({ _id: this._id, FailedLoginAttempts: { $gte: maxFailedLogins } }, {
+        $set: { FailedLoginAttempts: 0, LockUntil: lockUntil },
+        $inc: { LockoutCount: 1 },
+        $push: { LockoutEvents: { $each: [{ LockedAt: now, LockedUntil: lockUntil, Ip: ip }], $slice: -LOCKOUT_HISTORY } }
+    });
+};
+
+/**
+ * @function registerSuccessfulLogin
+ * @description Instance method to clear the failed login count and lockout backoff after a successful login.
+ * @returns {Promise<void>}
+ */
+userSchema.methods.registerSuccessfulLogin = async function() {
+    if (this.FailedLoginAttempts === 0 && this.LockoutCount === 0 && !this.LockUntil) {
+        return;
+    }
+    await this.constructor.updateOne({ _id: this._id }, {
+        $set: { FailedLoginAttempts: 0, LockoutCount: 0 },
+        $unset: { LockUntil: '' }
+    });
+};
+
+/**
+ * @schema RefreshToken
+ * @description Mongoose schema for a refresh token issued at login. Only a SHA-256 hash of the token is stored.
+ * Each refresh rotates the token: the used token is revoked and a new one is issued in the same family, so reusing a
+ * rotated token reveals a stolen token and revokes the whole family. Expired tokens are removed by a TTL index.
+ * @property {ObjectId} User - The user the token was issued to.
+ * @property {string} TokenHash - The SHA-256 hash of the token.
+ * @property {string} Family - The ID shared by all tokens rotated from the same login.
+ * @property {Date} ExpiresAt - When the token expires.
+ * @property {Date} RevokedAt - When the token was used or revoked, if it was.
+ */
+let refreshTokenSchema = mongoose.Schema({
+    User: {type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true},
+    TokenHash: {type: String, required: true, unique: true},
+    Family: {type: String, required: true, index: true},
+    ExpiresAt: {type: Date, required: true, expires: 0},
+    RevokedAt: Date
+});
+
+/**
+ * @schema RevokedToken
+ * @description Mongoose schema for an access token that was revoked at logout before it expired.
+ * Records are removed by a TTL index once the token would have expired anyway.
+ * @property {string} Jti - The `jwtid` of the revoked access token.
+ * @property {Date} ExpiresAt - When the access token expires.
+ */
+let revokedTokenSchema = mongoose.Schema({
+    Jti: {type: String, required: true, unique: true},
+    ExpiresAt: {type: Date, required: true, expires: 0}
+});
+
+/**
+ * @schema MovieList
+ * @description Mongoose schema for an ordered list of movies owned by a user. Every user has two built-in lists,
+ * the `watchlist` ("Watch later") and the `watched` history, and can create any number of `custom` named lists.
+ * @property {ObjectId} Owner - The user who owns the list.
+ * @property {string} Name - The name of the list, unique per owner.
+ * @property {string} Kind - `watchlist`, `watched` or `custom`.
+ * @property {string} Privacy - `private` lists are only visible to the owner; `public` lists can be shared.
+ * @property {ListEntry[]} Entries - The movies in the list, in the owner's order.
+ */
+
+/**
+ * @typedef {Object} ListEntry
+ * @description A movie in a list.
+ * @property {ObjectId} Movie - The ID of the movie.
+ * @property {Date} AddedAt - When the movie was added to the list.
+ * @property {Date} WatchedAt - When the movie was watched (only in the `watched` list).
+ */
+let movieListSchema = mongoose.Schema({
+    Owner: {type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true},
+    Name: {type: String, required: true, trim: true},
+    Kind: {type: String, enum: ['watchlist', 'watched', 'custom'], default: 'custom'},
+    Privacy: {type: String, enum: ['private', 'public'], default: 'private'},
+    Entries: [{
+        _id: false,
+        Movie: {type: mongoose.Schema.Types.ObjectId, ref: 'Movie', required: true},
+        AddedAt: {type: Date, default: Date.now},
+        WatchedAt: Date
+    }]
+}, { timestamps: true });
+
+movieListSchema.index({ Owner: 1, Name: 1 }, { unique: true });
+// A user has at most one list of each built-in kind, even when two requests create it at the same time
+movieListSchema.index({ Owner: 1, Kind: 1 }, {
+    unique: true,
+    partialFilterExpression: { Kind: { $in: ['watchlist', 'watched'] } }
+});
+
+/**
+ * @schema Review
+ * @description Mongoose schema for a user's rating and review of a movie. A user can review each movie once.
+ * @property {ObjectId} Movie - The reviewed movie.
+ * @property {ObjectId} User - The user who wrote the review.
+ * @property {number} Rating - The rating from 1 to 10.
+ * @property {string} Text - The text of the review (optional).
+ */
+let reviewSchema = mongoose.Schema({
+    Movie: {type: mongoose.Schema.Types.ObjectId, ref: 'Movie', required: true},
+    User: {type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true},
+    Rating: {type: Number, required: true, min: 1, max: 10},
+    Text: {type: String, trim: true, maxLength: 5000}
+}, { timestamps: true });
+
+reviewSchema.index({ Movie: 1, User: 1 }, { unique: true });
+
+/**
+ * @function refreshMovieRating
+ * @description Static method to recalculate the `AverageRating` and `RatingCount` of a movie from its reviews.
+ * Called after every review change; recalculating instead of adjusting the stored values keeps them correct even if
+ * an earlier update was lost.
+ * @param {ObjectId|string} movieId - The ID of the movie.
+ * @returns {Promise<void>}
+ */
+reviewSchema.statics.refreshMovieRating = async function(movieId) {
+    const [stats] = await this.aggregate([
+        { $match: { Movie: new mongoose.Types.ObjectId(movieId) } },
+        { $group: { _id: null, average: { $avg: '$Rating' }, count: { $sum: 1 } } }
+    ]);
+    await mongoose.model('Movie').updateOne({ _id: movieId }, {
+        $set: {
+            AverageRating: stats ? Math.round(stats.average * 10) / 10 : null,
+            RatingCount: stats ? stats.count : 0
+        }
+    });
+};
+
+/**
+ * @schema UserToken
+ * @description Mongoose schema for a single-use token sent to a user by email, for a password reset or to verify
+ * the email address. Only a SHA-256 hash of the token is stored, and expired tokens are removed by a TTL index.
+ * @property {ObjectId} User - The user the token was issued to.
+ * @property {string} Purpose - What the token may be used for: `password-reset` or `email-verification`.
+ * @property {string} TokenHash - The SHA-256 hash of the token.
+ * @property {Date} ExpiresAt - When the token expires.
+ * @property {Date} UsedAt - When the token was used, if it was.
+ */
+let userTokenSchema = mongoose.Schema({
+    User: {type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true},
+    Purpose: {type: String, enum: ['password-reset', 'email-verification'], required: true},
+    TokenHash: {type: String, required: true, unique: true},
+    ExpiresAt: {type: Date, required: true, expires: 0},
+    UsedAt: Date
+});
+
+/**
+ * @function issue
+ * @description Static method to create a new token for the user. Any unused token the user has for the same purpose
+ * is discarded, so only the most recently sent token works.
+ * @param {Object} user - The user document.
+ * @param {string} purpose - `password-reset` or `email-verification`.
+ * @param {number} lifetimeMs - How long the token is valid, in milliseconds.
+ * @returns {Promise<string>} The token to send to the user.
+ */
+userTokenSchema.statics.issue = async function(user, purpose, lifetimeMs) {
+    await this.deleteMany({ User: user._id, Purpose: purpose, UsedAt: null });
+    const token = crypto.randomBytes(32).toString('base64url');
+    await this.create({
+        User: user._id,
+        Purpose: purpose,
+        TokenHash: crypto.createHash('sha256').update(token).digest('hex'),
+        ExpiresAt: new Date(Date.now() + lifetimeMs)
+    });
+    return token;
+};
+
+/**
+ * @function consume
+ * @description Static method to use a token. The token is marked as used in the same operation that finds it,
+ * so it can never be used twice.
+ * @param {string} token - The token sent by the user.
+ * @param {string} purpose - The purpose the token must have been issued for.
+ * @returns {Promise<Object|null>} The used token record, or `null` if the token is unknown, expired or already used.
+ */
+userTokenSchema.statics.consume = function(token, purpose) {
+    return this.findOneAndUpdate(
+        {
+            TokenHash: crypto.createHash('sha256').update(token).digest('hex'),
+            Purpose: purpose,
+            UsedAt: null,
+            ExpiresAt: { $gt: new Date() }
+        },
+        { $set: { UsedAt: new Date() } },
+        { new: true }
+    );
+};
+
+/**
+ * @schema Upload
+ * @description Mongoose schema for an image uploaded to the S3 bucket. The record is created before the image is
+ * stored, so failed uploads can be found as well.
+ * @property {string} Key - The S3 key the image is stored under. A direct upload is under `staged-uploads/` until it
+ * is completed.
+ * @property {string} OriginalName - The file name the image was uploaded with.
+ * @property {string} ContentType - The image type, as detected from the file content.
+ * @property {number} Size - The size in bytes.
+ * @property {number} Width - The width in pixels.
+ * @property {number} Height - The height in pixels.
+ * @property {ObjectId} Uploader - The user who uploaded the image.
+ * @property {string} Status - `pending` while the image is being stored, then `stored` or `failed`, `expired` for a
+ * direct upload that was never completed, and `deleted` once it has been removed from the bucket.
+ */
+let uploadSchema = mongoose.Schema({
+    Key: {type: String, required: true, index: true},
+    OriginalName: String,
+    ContentType: {type: String, required: true},
+    Size: Number,
+    Width: Number,
+    Height: Number,
+    Uploader: {type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true},
+    Status: {type: String, enum: ['pending', 'stored', 'failed', 'expired', 'deleted'], default: 'pending'}
+}, { timestamps: true });
+
+/**
+ * @schema AuditEvent
+ * @description Mongoose schema for a security-relevant action, such as a login or an admin editing a movie. Events are
+ * only ever added, and are kept when the user or the target is deleted.
+ * @property {string} Action - What happened, such as `login.failed`, `user.updated` or `movie.deleted`.
+ * @property {string} Outcome - `success` or `failure`.
+ * @property {ObjectId} Actor - The user who did it, if known.
+ * @property {string} ActorUsername - The username of the actor, or the username tried in a failed login.
+ * @property {string} TargetType - The kind of thing acted on: `user`, `movie`, `director`, `person`, `upload` or
+ * `image`.
+ * @property {string} TargetId - The thing acted on: the username of a user, the key of an upload or image, and the ID
+ * of anything else.
+ * @property {Object} Details - More information, such as the fields that were changed. Never contains secrets.
+ * @property {string} RequestId - The ID of the request, to find its log entries.
+ * @property {string} Ip - The client's IP address.
+ */
+let auditEventSchema = mongoose.Schema({
+    Action: {type: String, required: true, index: true},
+    Outcome: {type: String, enum: ['success', 'failure'], default: 'success'},
+    Actor: {type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true},
+    ActorUsername: String,
+    TargetType: String,
+    TargetId: String,
+    Details: mongoose.Schema.Types.Mixed,
+    RequestId: String,
+    Ip: String
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+auditEventSchema.index({ TargetType: 1, TargetId: 1, createdAt: -1 });
+
 /**
  * @function Movie
  * @description The Mongoose model for the `Movie` schema.
@@ -101,6 +521,20 @@ userSchema.methods.validatePassword = function(password) {
  */
 let Movie = mongoose.model('Movie', movieSchema);
 
+/**
+ * @function Director
+ * @description The Mongoose model for the `Director` schema.
+ * @returns {mongoose.Model} The Director model used for interacting with the directors collection.
+ */
+let Director = mongoose.model('Director', directorSchema);
+
+/**
+ * @function Person
+ * @description The Mongoose model for the `Person` schema.
+ * @returns {mongoose.Model} The Person model used for interacting with the people collection.
+ */
+let Person = mongoose.model('Person', personSchema);
+
 /**
  * @function User
  * @description The Mongoose model for the `User` schema.
@@ -108,6 +542,66 @@ let Movie = mongoose.model('Movie', movieSchema);
  */
 let User = mongoose.model('User', userSchema);
 
-// Export the Movie and User models
+/**
+ * @function RefreshToken
+ * @description The Mongoose model for the `RefreshToken` schema.
+ * @returns {mongoose.Model} The RefreshToken model used for interacting with the refreshtokens collection.
+ */
+let RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+/**
+ * @function RevokedToken
+ * @description The Mongoose model for the `RevokedToken` schema.
+ * @returns {mongoose.Model} The RevokedToken model used for interacting with the revokedtokens collection.
+ */
+let RevokedToken = mongoose.model('RevokedToken', revokedTokenSchema);
+
+/**
+ * @function UserToken
+ * @description The Mongoose model for the `UserToken` schema.
+ * @returns {mongoose.Model} The UserToken model used for interacting with the usertokens collection.
+ */
+let UserToken = mongoose.model('UserToken', userTokenSchema);
+
+/**
+ * @function MovieList
+ * @description The Mongoose model for the `MovieList` schema.
+ * @returns {mongoose.Model} The MovieList model used for interacting with the movielists collection.
+ */
+let MovieList = mongoose.model('MovieList', movieListSchema);
+
+/**
+ * @function Review
+ * @description The Mongoose model for the `Review` schema.
+ * @returns {mongoose.Model} The Review model used for interacting with the reviews collection.
+ */
+let Review = mongoose.model('Review', reviewSchema);
+
+/**
+ * @function Upload
+ * @description The Mongoose model for the `Upload` schema.
+ * @returns {mongoose.Model} The Upload model used for interacting with the uploads collection.
+ */
+let Upload = mongoose.model('Upload', uploadSchema);
+
+/**
+ * @function AuditEvent
+ * @description The Mongoose model for the `AuditEvent` schema.
+ * @returns {mongoose.Model} The AuditEvent model used for interacting with the auditevents collection.
+ */
+let AuditEvent = mongoose.model('AuditEvent', auditEventSchema);
+
+// Export the models
 module.exports.Movie = Movie;
-module.exports.User = User;
\ No newline at end of file
+module.exports.Director = Director;
+module.exports.Person = Person;
+module.exports.User = User;
+module.exports.RefreshToken = RefreshToken;
+module.exports.RevokedToken = RevokedToken;
+module.exports.UserToken = UserToken;
+module.exports.MovieList = MovieList;
+module.exports.Review = Review;
+module.exports.Upload = Upload;
+module.exports.AuditEvent = AuditEvent;
+module.exports.MOVIE_POPULATE = MOVIE_POPULATE;
+module.exports.NAME_COLLATION = NAME_COLLATION;
\ No newline at end of file
@@ -0,0 +1,547 @@
+const { check, query } = require('express-validator'),
+  passport = require('passport'),
+  mongoose = require('mongoose'),
+  _ = require('lodash'),
+  Models = require('./models.js'),
+  search = require('./search.js'),
+  uploads = require('./uploads.js'),
+  { posterKey } = require('./images.js'),
+  { resolveReferences } = require('./people.js'),
+  { requireAdmin } = require('./authorization.js'),
+  audit = require('./audit.js'),
+  { NotFoundError, validate } = require('./errors.js'),
+  { checkMovieId } = require('./validators.js');
+
+/**
+ * Fields that `GET /movies` may be sorted by. Prefix a field with `-` to sort in descending order.
+ */
+const MOVIE_SORT_FIELDS = ['Title', 'ReleaseYear', 'Runtime', 'Featured', 'AverageRating', 'RatingCount'];
+
+// The type of each sort field's values, which is the only type a cursor may carry for it besides null
+const SORT_FIELD_TYPES = {
+  Title: 'string',
+  ReleaseYear: 'number',
+  Runtime: 'number',
+  Featured: 'boolean',
+  AverageRating: 'number',
+  RatingCount: 'number'
+};
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// The most matching movies scored for one search, and the most matching directors and people looked for in them
+const MAX_SEARCH_CANDIDATES = 500;
+
+// Helper function to match a string field exactly, ignoring case
+const exactMatch = (value) => new RegExp('^' + _.escapeRegExp(value) + '$', 'i');
+
+// Helper functions to encode and decode the opaque cursor used for keyset pagination.
+// A cursor holds the sort value and the _id of the last movie on the previous page.
+const encodeCursor = (movie, sortField) => {
+    return Buffer.from(JSON.stringify([_.get(movie, sortField, null), movie._id])).toString('base64url');
+};
+
+// The client can send any cursor, so anything but a value of the sort field's type and an ObjectId is refused;
+// an object such as `{ "$ne": null }` would otherwise end up in the query as an operator.
+const decodeCursor = (cursor, sortField) => {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!Array.isArray(decoded) || decoded.length !== 2 ||
+        (decoded[0] !== null && typeof decoded[0] !== SORT_FIELD_TYPES[sortField]) ||
+        typeof decoded[1] !== 'string' || !/^[0-9a-f]{24}$/i.test(decoded[1])) {
+        throw new Error('Invalid cursor');
+    }
+    return { value: decoded[0], id: new mongoose.Types.ObjectId(decoded[1]) };
+};
+
+// Helper function to read the field that `GET /movies` sorts by, without the `-` of a descending order
+const sortFieldOf = (sort = 'Title') => sort.replace(/^-/, '');
+
+// Builds the condition that selects every movie sorted after the cursor position.
+// Missing values sort before any other value in ascending order, and after them in descending order.
+const cursorCondition = (sortField, descending, cursor) => {
+    const { value, id } = cursor;
+    if (descending) {
+        if (value === null) {
+            return { [sortField]: null, _id: { $lt: id } };
+        }
+        return { $or: [
+            { [sortField]: { $lt: value } },
+            { [sortField]: null },
+            { [sortField]: value, _id: { $lt: id } }
+        ] };
+    }
+    if (value === null) {
+        return { $or: [
+            { [sortField]: null, _id: { $gt: id } },
+            { [sortField]: { $ne: null } }
+        ] };
+    }
+    return { $or: [
+        { [sortField]: { $gt: value } },
+        { [sortField]: value, _id: { $gt: id } }
+    ] };
+};
+
+/**
+ * The genre data embedded in the movies: where it is stored and which fields describe it besides `Name`.
+ */
+const MOVIE_RESOURCES = {
+  Genre: { path: 'Genres', fields: ['Description'] }
+};
+
+/**
+ * Fields of a movie that can be written through the movie routes.
+ */
+const MOVIE_FIELDS = ['Title', 'Description', 'ReleaseYear', 'Runtime', 'Certificate', 'Genres', 'Director', 'Actors',
+  'ImagePath', 'Featured'];
+
+/** 
+ * @namespace MovieRoutes
+ * @description Routes related to movie management.
+ */
+module.exports = (router, options = {}) => {
+  const models = options.models || Models;
+  const s3Client = options.s3Client;
+  const Movies = models.Movie,
+    Directors = models.Director,
+    People = models.Person,
+    Users = models.User,
+    MovieLists = models.MovieList,
+    Reviews = models.Review;
+
+  // Helper function to build the filter for the `genre`, `director`, `actor`, `year` and `featured` query parameters.
+  // Directors and actors are stored in their own collections, so their names are looked up there first.
+  const buildMovieFilter = async (params) => {
+      const filter = {};
+      if (params.genre) {
+          filter['Genres.Name'] = exactMatch(params.genre);
+      }
+      if (params.director) {
+          filter.Director = { $in: await Directors.distinct('_id', { Name: exactMatch(params.director) }) };
+      }
+      if (params.actor) {
+          // Every actor must be in the cast; each name may belong to several people
+          filter.$and = await Promise.all([].concat(params.actor).map(async (actor) => ({
+              'Actors.Person': { $in: await People.distinct('_id', { Name: exactMatch(actor.trim()) }) }
+          })));
+      }
+      if (params.year !== undefined) {
+          filter.ReleaseYear = params.year;
+      }
+      if (params.featured !== undefined) {
+          filter.Featured = params.featured;
+      }
+      return filter;
+  };
+
+  /**
+   * @function getMovies
+   * @memberof MovieRoutes
+   * @description Returns a page of the movies available in the database. The list can be filtered by genre, director,
+   * actor, release year and featured flag, and sorted by any of the `MOVIE_SORT_FIELDS`, including the average user
+   * rating. Pages are selected either by `page` number or by the `cursor` returned with the previous page.
+   * @param {Object} req - The request object containing authentication details and the optional query parameters
+   * `genre`, `director`, `actor` (repeatable), `year`, `featured`, `sort`, `page`, `limit` and `cursor`.
+   * @param {Object} res - The response object containing the page of movies.
+   * @returns {Object} JSON object with the `movies` array and the paging metadata `total`, `limit`, `page`, `totalPages` and `nextCursor`.
+   */
+  router.get('/movies', passport.authenticate('jwt', { session: false, failWithError: true }),
+  [
+    query('genre', 'genre must be a single non-empty string').optional().isString().trim().notEmpty(),
+    query('director', 'director must be a single non-empty string').optional().isString().trim().notEmpty(),
+    query('actor', 'actor must be a non-empty string').optional()
+      .custom((value) => [].concat(value).every((actor) => typeof actor === 'string' && actor.trim() !== '')),
+    query('year', 'year must be a valid year').optional().isInt({ min: 1800, max: 2100 }).toInt(),
+    query('featured', 'featured must be true or false').optional().isBoolean().toBoolean(true),
+    query('sort', 'sort must be one of ' + MOVIE_SORT_FIELDS.join(', ') + ', optionally prefixed with -').optional()
+      .isIn(MOVIE_SORT_FIELDS.flatMap((field) => [field, '-' + field])),
+    query('page', 'page must be a positive integer').optional().isInt({ min: 1 }).toInt(),
+    query('limit', 'limit must be an integer between 1 and ' + MAX_PAGE_SIZE).optional().isInt({ min: 1, max: MAX_PAGE_SIZE }).toInt(),
+    query('cursor', 'cursor is not valid').optional().isString().bail()
+      .custom((value, { req }) => decodeCursor(value, sortFieldOf(req.query.sort))),
+    query('cursor', 'cursor cannot be combined with page').optional().custom((value, { req }) => req.query.page === undefined)
+  ], validate, async (req, res, next) => {
+    const sort = req.query.sort || 'Title';
+    const descending = sort.startsWith('-');
+    const sortField = sortFieldOf(sort);
+    const direction = descending ? -1 : 1;
+    const limit = req.query.limit || DEFAULT_PAGE_SIZE;
+    const page = req.query.cursor ? undefined : (req.query.page || 1);
+
+    await buildMovieFilter(req.query)
+      .then((filter) => {
+        let pageQuery = filter;
+        if (req.query.cursor) {
+          pageQuery = { $and: [filter, cursorCondition(sortField, descending, decodeCursor(req.query.cursor, sortField))] };
+        }
+        return Promise.all([
+          Movies.find(pageQuery)
+            .sort({ [sortField]: direction, _id: direction })
+            .skip(page ? (page - 1) * limit : 0)
+            .limit(limit + 1) // Fetch one extra movie to find out whether there is a next page
+            .populate(models.MOVIE_POPULATE)
+            .lean(),
+          Movies.countDocuments(filter)
+        ]);
+      })
+      .then(([movies, total]) => {
+        const hasMore = movies.length > limit;
+        movies = movies.slice(0, limit).map(Movies.serialize);
+        res.json({
+          movies: movies,
+          total: total,
+          limit: limit,
+          page: page,
+          totalPages: Math.ceil(total / limit),
+          nextCursor: hasMore ? encodeCursor(movies[movies.length - 1], sortField) : null
+        });
+      })
+      .catch(next);
+  });  
+
+  /**
+   * @function searchMovies
+   * @memberof MovieRoutes
+   * @description Searches the catalog by title, description, actors, characters, genres and director. Matching is partial and
+   * case-insensitive, and results are ranked by relevance with highlighted snippets of the matched text. Only the
+   * `MAX_SEARCH_CANDIDATES` most rated matches are ranked, so that a short query does not load the whole catalog.
+   * @param {Object} req - The request object containing the search phrase `q` and an optional `limit`.
+   * @param {Object} res - The response object containing the ranked search results.
+   * @returns {Object} JSON object with the `query`, the `total` number of matches and the `results` array of
+   * `{ movie, score, highlights }` objects, best match first.
+   */
+  router.get('/movies/search', passport.authenticate('jwt', { session: false, failWithError: true }),
+  [
+    query('q', 'q is required and must be at most 100 characters').isString().trim().isLength({ min: 1, max: 100 }),
+    query('limit', 'limit must be an integer between 1 and ' + MAX_PAGE_SIZE).optional().isInt({ min: 1, max: MAX_PAGE_SIZE }).toInt()
+  ], validate, async (req, res, next) => {
+    const terms = search.tokenize(req.query.q);
+    const limit = req.query.limit || DEFAULT_PAGE_SIZE;
+
+    const names = search.namePattern(terms);
+    const matchingIds = (Model) => Model.find(names).select('_id').limit(MAX_SEARCH_CANDIDATES).lean()
+      .then((records) => records.map((record) => record._id));
+    await Promise.all([matchingIds(Directors), matchingIds(People)])
+      .then(([directorIds, personIds]) => {
+        const filter = search.buildSearchQuery(terms, { 'Director': directorIds, 'Actors.Person': personIds });
+        return Promise.all([
+          Movies.find(filter)
+            .sort({ RatingCount: -1, _id: 1 })
+            .limit(MAX_SEARCH_CANDIDATES)
+            .populate(models.MOVIE_POPULATE)
+            .lean(),
+          Movies.countDocuments(filter)
+        ]);
+      })
+      .then(([movies, total]) => {
+        const results = movies
+          .map(Movies.serialize)
+          .map((movie) => Object.assign({ movie: movie }, search.scoreMovie(movie, terms, req.query.q)))
+          .sort((a, b) => b.score - a.score || a.movie.Title.localeCompare(b.movie.Title));
+        res.json({
+          query: req.query.q,
+          total: total,
+          results: results.slice(0, limit)
+        });
+      })
+      .catch(next);
+  });
+
+  /**
+   * @function getMovieDetails
+   * @memberof MovieRoutes
+   * @description Returns detailed information about a single movie by its title.
+   * @param {Object} req - The request object containing the movie title in the URL parameter.
+   * @param {Object} res - The response object containing the movie data.
+   * @returns {Object} JSON object with movie details. Responds with 404 if there is no movie with that title.
+   */
+  router.get('/movies/:Title', passport.authenticate('jwt', { session: false, failWithError: true }), async (req, res, next) => {
+    await Movies.findOne({ Title: req.params.Title }).populate(models.MOVIE_POPULATE)
+    .then((movie) => {
+      if (!movie) {
+        return next(new NotFoundError('Movie ' + req.params.Title + ' was not found'));
+      }
+      res.json(movie);
+    })
+    .catch(next);
+  });  
+
+  // Helper function to list every distinct genre embedded in the movies, with the number of movies for each
+  const listMovieResources = (resource) => {
+    const { path, fields } = MOVIE_RESOURCES[resource];
+    const details = _.fromPairs(fields.map((field) => [field, { $first: '$' + path + '.' + field }]));
+    return Movies.aggregate([
+      { $unwind: '$' + path }, // A movie counts once for each of its genres
+      { $match: { [path + '.Name']: { $nin: [null, ''] } } },
+      { $sort: { Title: 1 } },
+      { $group: Object.assign({ _id: '$' + path + '.Name', movieCount: { $sum: 1 } }, details) },
+      { $sort: { _id: 1 } },
+      { $project: Object.assign({ _id: 0, Name: '$_id', movieCount: 1 }, _.fromPairs(fields.map((field) => [field, 1]))) }
+    ]);
+  };
+
+  // Helper function to load a single genre by name together with all of its movies.
+  // Resolves to null when no movie has that genre.
+  const findMovieResource = (resource, name) => {
+    const { path, fields } = MOVIE_RESOURCES[resource];
+    const pattern = exactMatch(name);
+    return Movies.find({ [path + '.Name']: pattern }).sort({ Title: 1 }).populate(models.MOVIE_POPULATE).lean()
+      .then((movies) => movies.map(Movies.serialize))
+      .then((movies) => {
+        if (movies.length === 0) {
+          return null;
+        }
+        const details = [].concat(movies[0][path]).find((item) => pattern.test(item.Name));
+        return Object.assign({ Name: details.Name }, _.pick(details, fields), {
+          movieCount: movies.length,
+          movies: movies
+        });
+      });
+  };
+
+  /**
+   * @function getGenres
+   * @memberof MovieRoutes
+   * @description Returns every genre in the catalog with its description and the number of movies in it.
+   * @param {Object} req - The request object containing authentication details.
+   * @param {Object} res - The response object containing the list of genres.
+   * @returns {Array} JSON array of `{ Name, Description, movieCount }` objects, sorted by name.
+   */
+  router.get('/genres', passport.authenticate('jwt', { session: false, failWithError: true }), async (req, res, next) => {
+    await listMovieResources('Genre')
+      .then((genres) => {
+        res.json(genres);
+      })
+      .catch(next);
+  });
+
+  /**
+   * @function getGenreDetails
+   * @memberof MovieRoutes
+   * @description Returns a genre by name (case-insensitive) with its description and all movies of that genre.
+   * Also available at `/movies/Genre/:genreName` for existing clients.
+   * @param {Object} req - The request object containing the genre name in the URL parameter.
+   * @param {Object} res - The response object containing the genre and its movies.
+   * @returns {Object} JSON object with the genre `Name`, `Description`, `movieCount` and `movies` array.
+   */
+  const getGenreDetails = async (req, res, next) => {
+    const name = req.params.name || req.params.genreName;
+    await findMovieResource('Genre', name)
+      .then((genre) => {
+        if (!genre) {
+          return next(new NotFoundError('Genre ' + name + ' was not found'));
+        }
+        res.json(genre);
+      })
+      .catch(next);
+  };
+  router.get('/genres/:name', passport.authenticate('jwt', { session: false, failWithError: true }), getGenreDetails);
+  router.get('/movies/Genre/:genreName', passport.authenticate('jwt', { session: false, failWithError: true }), getGenreDetails);
+
+  /**
+   * @function getDirectors
+   * @memberof MovieRoutes
+   * @description Returns every director in the catalog with their bio, birth and death dates, and the number of movies
+   * they directed.
+   * @param {Object} req - The request object containing authentication details.
+   * @param {Object} res - The response object containing the list of directors.
+   * @returns {Array} JSON array of `{ _id, Name, Bio, Birth, Death, movieCount }` objects, sorted by name.
+   */
+  router.get('/directors', passport.authenticate('jwt', { session: false, failWithError: true }), async (req, res, next) => {
+    await Promise.all([
+      Directors.find().sort({ Name: 1 }).lean(),
+      Movies.aggregate([
+        { $match: { Director: { $ne: null } } },
+        { $group: { _id: '$Director', movieCount: { $sum: 1 } } }
+      ])
+    ])
+      .then(([directors, counts]) => {
+        const movieCounts = _.fromPairs(counts.map((entry) => [entry._id.toString(), entry.movieCount]));
+        res.json(directors.map((director) => Object.assign(director, { movieCount: movieCounts[director._id.toString()] || 0 })));
+      })
+      .catch(next);
+  });
+
+  /**
+   * @function getDirectorDetails
+   * @memberof MovieRoutes
+   * @description Returns a director by name (case-insensitive) with their bio, birth and death dates, and all movies
+   * they directed.
+   * Also available at `/movies/director/:directorName` for existing clients.
+   * @param {Object} req - The request object containing the director's name in the URL parameter.
+   * @param {Object} res - The response object containing the director and their movies.
+   * @returns {Object} JSON object with the director's `_id`, `Name`, `Bio`, `Birth`, `Death`, `movieCount` and `movies` array.
+   */
+  const getDirectorDetails = async (req, res, next) => {
+    const name = req.params.name || req.params.directorName;
+    await Directors.findOne({ Name: exactMatch(name) }).lean()
+      .then(async (director) => {
+        if (!director) {
+          return next(new NotFoundError('Director ' + name + ' was not found'));
+        }
+        const movies = await Movies.find({ Director: director._id }).sort({ Title: 1 }).populate(models.MOVIE_POPULATE).lean();
+        res.json(Object.assign(director, { movieCount: movies.length, movies: movies.map(Movies.serialize) }));
+      })
+      .catch(next);
+  };
+  router.get('/directors/:name', passport.authenticate('jwt', { session: false, failWithError: true }), getDirectorDetails);
+  router.get('/movies/director/:directorName', passport.authenticate('jwt', { session: false, failWithError: true }), getDirectorDetails);
+
+  // Helper function to build the validation chain for a movie body. When `partial` is true every field is optional,
+  // otherwise Title and Description are required as in the movieSchema.
+  const movieValidators = (partial) => {
+    const required = (field, message) => partial ? check(field, message).optional() : check(field, message);
+    return [
+      required('Title', 'Title is required').isString().trim().notEmpty(),
+      required('Description', 'Description is required').isString().trim().notEmpty(),
+      check('ReleaseYear', 'ReleaseYear must be a valid year').optional().isInt({ min: 1800, max: 2100 }).toInt(),
+      check('Runtime', 'Runtime must be a number of minutes').optional().isInt({ min: 1, max: 1000 }).toInt(),
+      check('Certificate', 'Certificate must be a string of at most 10 characters').optional().isString().trim().isLength({ max: 10 }),
+      check('Genres', 'Genres must be an array of genres').optional().isArray(),
+      check('Genres.*.Name', 'Every genre needs a Name').isString().trim().notEmpty(),
+      check('Genres.*.Description', 'Genre descriptions must be strings').optional().isString(),
+      check('Director').optional().custom(async (value) => {
+        if (typeof value === 'string') {
+          if (!mongoose.isValidObjectId(value) || !(await Directors.exists({ _id: value }))) {
+            throw new Error('Director ' + value + ' was not found');
+          }
+        } else if (!_.isPlainObject(value) || typeof value.Name !== 'string' || value.Name.trim() === '') {
+          throw new Error('Director must be a director ID or an object with a Name');
+        }
+      }),
+      check('Director.Name', 'Director.Name must be a string').optional().isString().trim(),
+      check('Director.Bio', 'Director.Bio must be a string').optional().isString(),
+      check('Director.Birth', 'Director.Birth must be a valid date').optional({ values: 'null' }).isISO8601(),
+      check('Director.Death', 'Director.Death must be a valid date').optional({ values: 'null' }).isISO8601(),
+      check('Actors', 'Actors must be an array of cast members').optional().isArray(),
+      check('Actors.*', 'Every cast member needs a Person ID or a Name').custom((actor) => _.isPlainObject(actor) &&
+        (actor.Person !== undefined || (typeof actor.Name === 'string' && actor.Name.trim() !== ''))),
+      check('Actors.*.Person').optional().custom(async (id) => {
+        if (!mongoose.isValidObjectId(id) || !(await People.exists({ _id: id }))) {
+          throw new Error('Person ' + id + ' was not found');
+        }
+      }),
+      check('Actors.*.Name', 'Cast member names must be strings').optional().isString().trim(),
+      check('Actors.*.Character', 'Characters must be strings').optional().isString().trim(),
+      check('ImagePath', 'ImagePath must be a string').optional().isString(),
+      check('Featured', 'Featured must be true or false').optional().isBoolean().toBoolean(true)
+    ];
+  };
+
+  /**
+   * @function createMovie
+   * @memberof MovieRoutes
+   * @description Allows admins to add a new movie to the catalog. The `Director` is given by ID or as an object with a
+   * `Name`, and each cast member as `{ Person, Character }` with a person ID or as `{ Name, Character }`. Directors and
+   * people given by name are looked up, and created if they are not in the catalog yet.
+   * @param {Object} req - The request object containing the movie data (Title, Description, ReleaseYear, Runtime,
+   * Certificate, Genres, Director, Actors, ImagePath, Featured).
+   * @param {Object} res - The response object containing the created movie.
+   * @returns {Object} JSON object with the created movie.
+   */
+  router.post('/movies', passport.authenticate('jwt', { session: false, failWithError: true }), requireAdmin, movieValidators(false), validate, async (req, res, next) => {
+    await resolveReferences(_.pick(req.body, MOVIE_FIELDS), models)
+      .then((fields) => Movies.create(fields))
+      .then((movie) => movie.populate(models.MOVIE_POPULATE))
+      .then(async (movie) => {
+        await audit.record(req, 'movie.created', { targetType: 'movie', targetId: movie._id, details: { Title: movie.Title } });
+        res.status(201).json(movie);
+      })
+      .catch(next);
+  });
+
+  /**
+   * @function updateMovie
+   * @memberof MovieRoutes
+   * @description Allows admins to update a movie. Only the fields provided in the request body are changed;
+   * a provided `Genres`, `Director` or `Actors` value replaces the existing one. Directors and cast members are given as
+   * for `createMovie`.
+   * @param {Object} req - The request object containing the movie ID in the URL parameter and the fields to update.
+   * @param {Object} res - The response object containing the updated movie.
+   * @returns {Object} JSON object with the updated movie.
+   */
+  router.put('/movies/:id', passport.authenticate('jwt', { session: false, failWithError: true }), requireAdmin,
+  [
+    checkMovieId('id'),
+    ...movieValidators(true)
+  ], validate, async (req, res, next) => {
+    await Movies.findById(req.params.id)
+      .then(async (movie) => {
+        if (!movie) {
+          return next(new NotFoundError('Movie ' + req.params.id + ' was not found'));
+        }
+        // The directors and cast members are only created once the movie is known to exist
+        movie.set(await resolveReferences(_.pick(req.body, MOVIE_FIELDS), models));
+        await movie.save();
+        await movie.populate(models.MOVIE_POPULATE);
+        await audit.record(req, 'movie.updated', {
+          targetType: 'movie',
+          targetId: movie._id,
+          details: { fields: Object.keys(_.pick(req.body, MOVIE_FIELDS)) }
+        });
+        res.json(movie);
+      })
+      .catch(next);
+  });
+
+  /**
+   * @function uploadMoviePoster
+   * @memberof MovieRoutes
+   * @description Allows admins to upload a movie's poster. The image is stored in the S3 bucket under `original-images/`,
+   * where the resize Lambda picks it up to make the thumbnail, and its key is saved as the movie's `ImagePath`.
+   * The image is checked like any upload (see the uploads module).
+   * @param {Object} req - The request object containing the movie ID in the URL parameter and the poster as the `image`
+   * file (JPEG, PNG or GIF).
+   * @param {Object} res - The response object containing the updated movie.
+   * @returns {Object} JSON object with the updated movie, including its `Poster` URLs. Responds with 400 without a file,
+   * 413 if it is too large, 415 if it is not a supported image and 404 if the movie does not exist.
+   */
+  router.post('/movies/:id/poster', passport.authenticate('jwt', { session: false, failWithError: true }), requireAdmin,
+  uploads.fileUploadMiddleware(), [
+    checkMovieId('id')
+  ], validate, async (req, res, next) => {
+    await uploads.checkImage(req)
+      .then(async (image) => {
+        const movie = await Movies.findById(req.params.id);
+        if (!movie) {
+          return next(new NotFoundError('Movie ' + req.params.id + ' was not found'));
+        }
+        const key = posterKey(movie, image.contentType);
+        await uploads.storeImage(s3Client, image, key, req, models);
+        movie.ImagePath = key;
+        await movie.save();
+        await audit.record(req, 'movie.updated', { targetType: 'movie', targetId: movie._id, details: { fields: ['ImagePath'] } });
+        res.json(await movie.populate(models.MOVIE_POPULATE));
+      })
+      .catch(next);
+  });
+
+  /**
+   * @function deleteMovie
+   * @memberof MovieRoutes
+   * @description Allows admins to delete a movie. The movie is also removed from every user's favorite movies and lists,
+   * and its reviews are deleted.
+   * @param {Object} req - The request object containing the movie ID in the URL parameter.
+   * @param {Object} res - The response object confirming the movie has been deleted.
+   * @returns {Object} JSON object with a confirmation `message`, or an error.
+   */
+  router.delete('/movies/:id', passport.authenticate('jwt', { session: false, failWithError: true }), requireAdmin,
+  [
+    checkMovieId('id')
+  ], validate, async (req, res, next) => {
+    await Movies.findByIdAndDelete(req.params.id)
+      .then(async (movie) => {
+        if (!movie) {
+          return next(new NotFoundError('Movie ' + req.params.id + ' was not found'));
+        }
+        await Promise.all([
+          Users.updateMany({ FavoriteMovies: movie._id }, { $pull: { FavoriteMovies: movie._id } }),
+          MovieLists.updateMany({ 'Entries.Movie': movie._id }, { $pull: { Entries: { Movie: movie._id } } }),
+          Reviews.deleteMany({ Movie: movie._id })
+        ]);
+        await audit.record(req, 'movie.deleted', { targetType: 'movie', targetId: movie._id, details: { Title: movie.Title } });
+        res.json({ message: movie.Title + ' was deleted.' });
+      })
+      .catch(next);
+  });
+};
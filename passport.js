@@ -1,52 +1,69 @@
 const passport = require('passport'),
+  bcrypt = require('bcrypt'),
   LocalStrategy = require('passport-local').Strategy,
   Models = require('./models.js'),
+  config = require('./config.js'),
   passportJWT = require('passport-jwt');
 
 let Users = Models.User,
+  RevokedTokens = Models.RevokedToken,
   JWTStrategy = passportJWT.Strategy,
   ExtractJWT = passportJWT.ExtractJwt;
 
+// Every credential failure, including a locked account, returns the same message so that the response never
+// reveals whether a username exists.
+const LOGIN_FAILED_MESSAGE = 'Incorrect username or password.';
+
+// Compared against when the username does not exist, so that unknown usernames take as long as wrong passwords
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('not-a-real-password', 10);
+
 passport.use(
   new LocalStrategy(
     {
       usernameField: 'Username',
       passwordField: 'Password',
+      passReqToCallback: true
     },
-    async (username, password, callback) => {
-      console.log(`${username} ${password}`);
-      await Users.findOne({ Username: username })
-      .then((user) => {
+    (req, username, password, callback) => {
+      // The reason is only for the audit trail; the client gets the same message either way
+      Users.findOne({ Username: username })
+      .then(async (user) => {
         if (!user) {
-          console.log('incorrect username');
-          return callback(null, false, {
-            message: 'Incorrect username or password.',
-          });
+          bcrypt.compareSync(password, DUMMY_PASSWORD_HASH);
+          return [false, { message: LOGIN_FAILED_MESSAGE, reason: 'unknown_user' }];
         }
-        if (!user.validatePassword(password)) {
-            console.log('incorrect password');
-            return callback(null, false, {message: 'Incorrect password.'});
+        if (user.isLocked()) {
+          return [false, { message: LOGIN_FAILED_MESSAGE, reason: 'locked' }];
         }
-        console.log('finished');
-        return callback(null, user);
-      })
-      .catch((error) => {
-        if (error) {
-          console.log(error);
-          return callback(error);
+        if (!user.validatePassword(password)) {
+          await user.registerFailedLogin(req.ip);
+          return [false, { message: LOGIN_FAILED_MESSAGE, reason: 'wrong_password' }];
         }
+        await user.registerSuccessfulLogin();
+        return [user];
       })
+      // Passport is called back in one place only, so an error thrown after the login is not reported as a second result
+      .then(([user, info]) => callback(null, user, info), (error) => callback(error));
     }
   )
 );
 
 
+// Tokens are rejected when they were revoked at logout, or when their version is older than the user's
+// TokenVersion because the user logged out of all sessions.
 passport.use(new JWTStrategy({
   jwtFromRequest: ExtractJWT.fromAuthHeaderAsBearerToken(),
-  secretOrKey: 'your_jwt_secret'
+  secretOrKey: config.get('auth').jwtSecret,
+  algorithms: ['HS256']
 }, async (jwtPayload, callback) => {
-  return await Users.findById(jwtPayload._id)
-    .then((user) => {
+  return await Promise.all([
+    Users.findById(jwtPayload._id),
+    RevokedTokens.exists({ Jti: jwtPayload.jti })
+  ])
+    .then(([user, revoked]) => {
+      if (!user || revoked || jwtPayload.tv !== (user.TokenVersion || 0)) {
+        return callback(null, false);
+      }
       return callback(null, user);
     })
     .catch((error) => {
@@ -0,0 +1,194 @@
+const { check, query } = require('express-validator'),
+  passport = require('passport'),
+  _ = require('lodash'),
+  Models = require('./models.js'),
+  { requireAdmin } = require('./authorization.js'),
+  audit = require('./audit.js'),
+  { NotFoundError, validate } = require('./errors.js');
+
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Fields of a director or person that can be written through the routes.
+ */
+const PERSON_FIELDS = ['Name', 'Bio', 'Birth', 'Death'];
+
+const auth = passport.authenticate('jwt', { session: false, failWithError: true });
+
+// Validation rules for the fields of a director or person in the request body, all optional
+const personValidators = [
+  check('Name', 'Name must be a non-empty string').optional().isString().trim().notEmpty(),
+  check('Bio', 'Bio must be a string').optional().isString(),
+  check('Birth', 'Birth must be a valid date').optional({ values: 'null' }).isISO8601(),
+  check('Death', 'Death must be a valid date').optional({ values: 'null' }).isISO8601()
+];
+
+// Helper function to find a director or person by name, ignoring case, creating them with the given details if there
+// is none yet. Existing records are not changed; their details are edited through `PUT /directors/:id` and
+// `PUT /people/:id`. When two requests create the same name at once, the unique name index lets only one insert win,
+// and the other one reads the record it created.
+const findOrCreate = (Model, details) => {
+  const name = details.Name.trim();
+  return Model.findOneAndUpdate(
+    { Name: name },
+    { $setOnInsert: Object.assign(_.pick(details, PERSON_FIELDS), { Name: name }) },
+    { new: true, upsert: true, collation: Models.NAME_COLLATION }
+  ).select('_id')
+    .catch((error) => {
+      if (error.code !== 11000) {
+        throw error;
+      }
+      return Model.findOne({ Name: name }).collation(Models.NAME_COLLATION).select('_id');
+    });
+};
+
+/**
+ * Replaces the director and cast members given by name in a movie body with references to the `Director` and `Person`
+ * records, creating the records that do not exist yet. A director or cast member given by ID is kept as it is.
+ * @param {Object} movie - The movie fields from the request body, which are changed in place.
+ * @param {Object} [models] - The Mongoose models, as exported by the models module. Defaults to that module.
+ * @returns {Promise<Object>} The movie fields, ready to be stored.
+ */
+let resolveReferences = async (movie, models = Models) => {
+  if (_.isPlainObject(movie.Director)) {
+    movie.Director = (await findOrCreate(models.Director, movie.Director))._id;
+  }
+  if (Array.isArray(movie.Actors)) {
+    movie.Actors = await Promise.all(movie.Actors.map(async (actor) => ({
+      Person: actor.Person || (await findOrCreate(models.Person, { Name: actor.Name }))._id,
+      Character: actor.Character
+    })));
+  }
+  return movie;
+};
+
+
+/**
+ * @namespace PeopleRoutes
+ * @description Routes for the people who act in movies and for editing directors. Directors and people are stored once
+ * and referenced by the movies, so a change to a bio shows up in every movie at once.
+ */
+module.exports = (router, options = {}) => {
+  const models = options.models || Models;
+  const Movies = models.Movie,
+    Directors = models.Director,
+    People = models.Person;
+
+  /**
+   * @function getPeople
+   * @memberof PeopleRoutes
+   * @description Returns the people in the catalog, sorted by name.
+   * @param {Object} req - The request object containing the optional query parameters `name` (partial,
+   * case-insensitive), `page` and `limit`.
+   * @returns {Object} JSON object with the `people` array and the paging metadata `total`, `page` and `limit`.
+   */
+  router.get('/people', auth,
+  [
+    query('name', 'name must be a single non-empty string').optional().isString().trim().notEmpty(),
+    query('page', 'page must be a positive integer').optional().isInt({ min: 1 }).toInt(),
+    query('limit', 'limit must be an integer between 1 and ' + MAX_PAGE_SIZE).optional().isInt({ min: 1, max: MAX_PAGE_SIZE }).toInt()
+  ], validate, async (req, res, next) => {
+    const filter = req.query.name ? { Name: new RegExp(_.escapeRegExp(req.query.name), 'i') } : {};
+    const page = req.query.page || 1;
+    const limit = req.query.limit || DEFAULT_PAGE_SIZE;
+    await Promise.all([
+      People.find(filter).sort({ Name: 1, _id: 1 }).skip((page - 1) * limit).limit(limit),
+      People.countDocuments(filter)
+    ])
+      .then(([people, total]) => {
+        res.json({ people: people, total: total, page: page, limit: limit });
+      })
+      .catch(next);
+  });
+
+  /**
+   * @function getPerson
+   * @memberof PeopleRoutes
+   * @description Returns a person with their filmography: every movie they acted in, oldest first, with the character
+   * they played.
+   * @param {Object} req - The request object containing the person's ID in the URL parameter.
+   * @returns {Object} JSON object with the person's `Name`, `Bio`, `Birth`, `Death`, `movieCount` and `movies` array of
+   * `{ _id, Title, ReleaseYear, ImagePath, Character }` objects.
+   */
+  router.get('/people/:id', auth, [check('id', 'id must be a valid person ID').isMongoId()], validate, async (req, res, next) => {
+    await Promise.all([
+      People.findById(req.params.id).lean(),
+      Movies.find({ 'Actors.Person': req.params.id }).sort({ ReleaseYear: 1, Title: 1 })
+        .select('Title ReleaseYear ImagePath Actors').lean()
+    ])
+      .then(([person, movies]) => {
+        if (!person) {
+          return next(new NotFoundError('Person ' + req.params.id + ' was not found'));
+        }
+        res.json(Object.assign(person, {
+          movieCount: movies.length,
+          movies: movies.map((movie) => Object.assign(_.pick(movie, ['_id', 'Title', 'ReleaseYear', 'ImagePath']), {
+            Character: _.get(movie.Actors.find((actor) => actor.Person.equals(person._id)), 'Character', null)
+          }))
+        }));
+      })
+      .catch(next);
+  });
+
+  /**
+   * @function updatePerson
+   * @memberof PeopleRoutes
+   * @description Allows admins to change a person's name, bio, birth or death date. Only the fields provided are changed.
+   * @param {Object} req - The request object containing the person's ID in the URL parameter and the fields to update.
+   * @returns {Object} JSON object with the updated person. Responds with 409 if another person has the new name.
+   */
+  router.put('/people/:id', auth, requireAdmin,
+  [
+    check('id', 'id must be a valid person ID').isMongoId(),
+    ...personValidators
+  ], validate, async (req, res, next) => {
+    await People.findByIdAndUpdate(req.params.id, { $set: _.pick(req.body, PERSON_FIELDS) },
+      { new: true, runValidators: true }) // This line makes sure that the updated document is returned
+      .then(async (person) => {
+        if (!person) {
+          return next(new NotFoundError('Person ' + req.params.id + ' was not found'));
+        }
+        await audit.record(req, 'person.updated', {
+          targetType: 'person',
+          targetId: person._id,
+          details: { fields: Object.keys(_.pick(req.body, PERSON_FIELDS)) }
+        });
+        res.json(person);
+      })
+      .catch(next);
+  });
+
+  /**
+   * @function updateDirector
+   * @memberof PeopleRoutes
+   * @description Allows admins to change a director's name, bio, birth or death date. Only the fields provided are
+   * changed, and every movie by the director shows the new details.
+   * @param {Object} req - The request object containing the director's ID in the URL parameter and the fields to update.
+   * @returns {Object} JSON object with the updated director. Responds with 409 if another director has the new
+   * name.
+   */
+  router.put('/directors/:id', auth, requireAdmin,
+  [
+    check('id', 'id must be a valid director ID').isMongoId(),
+    ...personValidators
+  ], validate, async (req, res, next) => {
+    await Directors.findByIdAndUpdate(req.params.id, { $set: _.pick(req.body, PERSON_FIELDS) },
+      { new: true, runValidators: true }) // This line makes sure that the updated document is returned
+      .then(async (director) => {
+        if (!director) {
+          return next(new NotFoundError('Director ' + req.params.id + ' was not found'));
+        }
+        await audit.record(req, 'director.updated', {
+          targetType: 'director',
+          targetId: director._id,
+          details: { fields: Object.keys(_.pick(req.body, PERSON_FIELDS)) }
+        });
+        res.json(director);
+      })
+      .catch(next);
+  });
+}
+
+module.exports.resolveReferences = resolveReferences;
@@ -0,0 +1,88 @@
+/**
+ * @module rateLimiter
+ * @description This module provides a fixed-window rate limiting middleware. Hit counts are kept in a store with
+ * an `increment`/`reset` interface, so the in-memory store can be replaced by a shared one (e.g. Redis) when the API
+ * runs on more than one instance.
+ */
+const { HttpError } = require('./errors.js');
+
+/**
+ * @typedef {Object} RateLimitStore
+ * @description The interface a rate limit store implements.
+ * @property {function(string, number): Promise<{count: number, resetAt: number}>} increment - Counts a hit for the key
+ * and returns the hits in the current window and when the window ends (milliseconds since the epoch).
+ * @property {function(string): Promise<void>} reset - Forgets all hits for the key.
+ */
+
+/**
+ * @function createMemoryStore
+ * @description Creates a rate limit store that keeps its counters in process memory. Expired windows are swept
+ * once a minute.
+ * @returns {RateLimitStore} The in-memory store.
+ */
+const createMemoryStore = () => {
+    const windows = new Map();
+
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        windows.forEach((window, key) => {
+            if (window.resetAt <= now) {
+                windows.delete(key);
+            }
+        });
+    }, 60 * 1000);
+    sweep.unref(); // Don't keep the process alive just for the sweep
+
+    return {
+        increment: async (key, windowMs) => {
+            const now = Date.now();
+            let window = windows.get(key);
+            if (!window || window.resetAt <= now) {
+                window = { count: 0, resetAt: now + windowMs };
+                windows.set(key, window);
+            }
+            window.count += 1;
+            return { count: window.count, resetAt: window.resetAt };
+        },
+        reset: async (key) => {
+            windows.delete(key);
+        }
+    };
+};
+
+/**
+ * @function rateLimit
+ * @description Creates an Express middleware that answers with 429 Too Many Requests and a `Retry-After` header
+ * once a client has made more than `max` requests within `windowMs`.
+ * @param {Object} options - The limiter options.
+ * @param {RateLimitStore} options.store - The store that keeps the hit counts.
+ * @param {number} options.windowMs - The length of the window in milliseconds.
+ * @param {number} options.max - The number of requests allowed per window.
+ * @param {function(Object): string} options.keyGenerator - Returns the key to count the request under. Requests for
+ * which it returns nothing are not limited.
+ * @param {string} [options.message] - The message sent with the 429 response.
+ * @returns {Function} The Express middleware.
+ */
+const rateLimit = ({ store, windowMs, max, keyGenerator, message }) => {
+    return async (req, res, next) => {
+        const key = keyGenerator(req);
+        if (!key) {
+            return next();
+        }
+        try {
+            const { count, resetAt } = await store.increment(key, windowMs);
+            if (count > max) {
+                res.set('Retry-After', String(Math.max(1, Math.ceil((resetAt - Date.now()) / 1000))));
+                return next(new HttpError(429, 'too_many_requests', message || 'Too many requests, please try again later.'));
+            }
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+};
+
+module.exports = {
+    createMemoryStore,
+    rateLimit
+};
@@ -0,0 +1,101 @@
+/**
+ * @module recommendations
+ * @description This module scores movies for personalized recommendations. A movie scores for every favorite it shares
+ * a genre, director or actors with, and for every other user who favorited it alongside the user's favorites.
+ * Everything is computed from the catalog and the users' favorites; no external service is involved.
+ */
+const _ = require('lodash');
+
+/**
+ * How much each kind of overlap adds to a movie's score.
+ */
+const WEIGHTS = {
+    genre: 3,
+    director: 4,
+    actor: 2, // per shared actor
+    coFavorite: 1.5 // per other user who also favorited one of the user's favorites
+};
+
+// Helper functions to read the names of a movie's genres, director and actors
+const genresOf = (movie) => _.compact(_.map(movie.Genres, 'Name'));
+const directorOf = (movie) => _.get(movie, 'Director.Name') || null;
+const actorsOf = (movie) => _.compact(_.map(movie.Actors, 'Name'));
+
+// Helper function to find the names in `names` that also appear in `others`, ignoring case
+const sharedNames = (names, others) => {
+    const lowerOthers = others.map(_.toLower);
+    return names.filter((name) => lowerOthers.includes(name.toLowerCase()));
+};
+
+/**
+ * @function compareMovies
+ * @description Finds what a candidate movie has in common with a favorite movie.
+ * @param {Object} candidate - The movie that may be recommended.
+ * @param {Object} favorite - One of the user's favorite movies.
+ * @returns {{score: number, reasons: string[]}} The score the favorite contributes and the reasons in words.
+ */
+const compareMovies = (candidate, favorite) => {
+    let score = 0;
+    const reasons = [];
+
+    const sharedGenres = sharedNames(genresOf(candidate), genresOf(favorite));
+    if (sharedGenres.length > 0) {
+        score += WEIGHTS.genre * sharedGenres.length;
+        reasons.push((sharedGenres.length === 1 ? 'same genre (' : 'same genres (') + sharedGenres.join(', ') + ')');
+    }
+
+    const director = directorOf(candidate);
+    if (director && sharedNames([director], _.compact([directorOf(favorite)])).length > 0) {
+        score += WEIGHTS.director;
+        reasons.push('also directed by ' + director);
+    }
+
+    const sharedActors = sharedNames(actorsOf(candidate), actorsOf(favorite));
+    if (sharedActors.length > 0) {
+        score += WEIGHTS.actor * sharedActors.length;
+        reasons.push('also stars ' + sharedActors.join(', '));
+    }
+
+    return { score: score, reasons: reasons };
+};
+
+/**
+ * @function recommend
+ * @description Ranks the candidate movies for a user.
+ * @param {Object[]} favorites - The user's favorite movies.
+ * @param {Object[]} candidates - The movies that are not favorites yet.
+ * @param {Object} coFavoriteCounts - For each candidate movie ID, the number of other users who favorited it together
+ * with at least one of the user's favorites.
+ * @param {number} limit - The maximum number of recommendations.
+ * @returns {Object[]} The recommendations, best first, as `{ movie, score, explanation, reasons }` objects.
+ */
+const recommend = (favorites, candidates, coFavoriteCounts, limit) => {
+    return candidates
+        .map((candidate) => {
+            const matches = favorites
+                .map((favorite) => Object.assign({ favorite: favorite }, compareMovies(candidate, favorite)))
+                .filter((match) => match.score > 0);
+            const coFavorites = coFavoriteCounts[candidate._id.toString()] || 0;
+            const score = _.sumBy(matches, 'score') + WEIGHTS.coFavorite * coFavorites;
+
+            const best = _.maxBy(matches, 'score');
+            const reasons = best ? best.reasons.slice() : [];
+            if (coFavorites > 0) {
+                reasons.push(`favorited by ${coFavorites} ${coFavorites === 1 ? 'user' : 'users'} with similar taste`);
+            }
+            const explanation = best
+                ? 'Because you liked ' + best.favorite.Title
+                : 'Popular with users who like the same movies as you';
+
+            return { movie: candidate, score: score, explanation: explanation, reasons: reasons };
+        })
+        .filter((recommendation) => recommendation.score > 0)
+        .sort((a, b) => b.score - a.score || a.movie.Title.localeCompare(b.movie.Title))
+        .slice(0, limit);
+};
+
+module.exports = {
+    WEIGHTS,
+    compareMovies,
+    recommend
+};
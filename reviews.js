@@ -0,0 +1,144 @@
+const { check, query } = require('express-validator'),
+  passport = require('passport'),
+  Models = require('./models.js'),
+  { requireVerified } = require('./authorization.js'),
+  { ConflictError, NotFoundError, validate } = require('./errors.js'),
+  { checkMovieId } = require('./validators.js');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const auth = passport.authenticate('jwt', { session: false, failWithError: true });
+
+
+/**
+ * @namespace ReviewRoutes
+ * @description Routes for rating and reviewing movies. Each user can write one review per movie and edit or delete it
+ * through `PUT` and `DELETE` on the same path. Every change updates the movie's `AverageRating` and `RatingCount`.
+ */
+module.exports = (router, options = {}) => {
+  const models = options.models || Models;
+  const Movies = models.Movie,
+    Reviews = models.Review;
+
+  /**
+   * @function createReview
+   * @memberof ReviewRoutes
+   * @description Rates and reviews a movie as the logged in user.
+   * @param {Object} req - The request object containing the movie ID in the URL parameter, the `Rating` (1-10) and
+   * an optional review `Text`.
+   * @returns {Object} JSON object with the created review. Responds with 404 if the movie does not exist and 409 if
+   * the user already reviewed it.
+   */
+  router.post('/movies/:id/reviews', auth, requireVerified,
+  [
+    checkMovieId('id'),
+    check('Rating', 'Rating must be an integer from 1 to 10').isInt({ min: 1, max: 10 }).toInt(),
+    check('Text', 'Text must be at most 5000 characters').optional().isString().trim().isLength({ max: 5000 })
+  ], validate, async (req, res, next) => {
+    await Movies.exists({ _id: req.params.id })
+      .then(async (movie) => {
+        if (!movie) {
+          return next(new NotFoundError('Movie ' + req.params.id + ' was not found'));
+        }
+        const review = await Reviews.create({
+          Movie: req.params.id,
+          User: req.user._id,
+          Rating: req.body.Rating,
+          Text: req.body.Text
+        });
+        await Reviews.refreshMovieRating(req.params.id);
+        res.status(201).json(review);
+      })
+      .catch((err) => {
+        if (err && err.code === 11000) {
+          return next(new ConflictError('You already reviewed this movie'));
+        }
+        next(err);
+      });
+  });
+
+  /**
+   * @function getReviews
+   * @memberof ReviewRoutes
+   * @description Returns the reviews of a movie, newest first, with the reviewer's username.
+   * @param {Object} req - The request object containing the movie ID and the optional `page` and `limit` query parameters.
+   * @returns {Object} JSON object with the `reviews` array and the paging metadata `total`, `page` and `limit`.
+   */
+  router.get('/movies/:id/reviews', auth,
+  [
+    checkMovieId('id'),
+    query('page', 'page must be a positive integer').optional().isInt({ min: 1 }).toInt(),
+    query('limit', 'limit must be an integer between 1 and ' + MAX_PAGE_SIZE).optional().isInt({ min: 1, max: MAX_PAGE_SIZE }).toInt()
+  ], validate, async (req, res, next) => {
+    const page = req.query.page || 1;
+    const limit = req.query.limit || DEFAULT_PAGE_SIZE;
+    await Movies.exists({ _id: req.params.id })
+      .then(async (movie) => {
+        if (!movie) {
+          return next(new NotFoundError('Movie ' + req.params.id + ' was not found'));
+        }
+        const [reviews, total] = await Promise.all([
+          Reviews.find({ Movie: req.params.id })
+            .sort({ createdAt: -1, _id: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .populate('User', 'Username'),
+          Reviews.countDocuments({ Movie: req.params.id })
+        ]);
+        res.json({ reviews: reviews, total: total, page: page, limit: limit });
+      })
+      .catch(next);
+  });
+
+  /**
+   * @function updateReview
+   * @memberof ReviewRoutes
+   * @description Changes the logged in user's review of a movie. Only the fields provided are changed.
+   * @param {Object} req - The request object containing the movie ID in the URL parameter and the new `Rating` and/or `Text`.
+   * @returns {Object} JSON object with the updated review. Responds with 404 if the user has not reviewed the movie.
+   */
+  router.put('/movies/:id/reviews', auth, requireVerified,
+  [
+    checkMovieId('id'),
+    check('Rating', 'Rating must be an integer from 1 to 10').optional().isInt({ min: 1, max: 10 }).toInt(),
+    check('Text', 'Text must be at most 5000 characters').optional().isString().trim().isLength({ max: 5000 })
+  ], validate, async (req, res, next) => {
+    const update = {};
+    if (req.body.Rating !== undefined) {
+      update.Rating = req.body.Rating;
+    }
+    if (req.body.Text !== undefined) {
+      update.Text = req.body.Text;
+    }
+    await Reviews.findOneAndUpdate({ Movie: req.params.id, User: req.user._id }, { $set: update },
+      { new: true, runValidators: true }) // This line makes sure that the updated document is returned
+      .then(async (review) => {
+        if (!review) {
+          return next(new NotFoundError('You have not reviewed this movie'));
+        }
+        await Reviews.refreshMovieRating(req.params.id);
+        res.json(review);
+      })
+      .catch(next);
+  });
+
+  /**
+   * @function deleteReview
+   * @memberof ReviewRoutes
+   * @description Deletes the logged in user's review of a movie.
+   * @param {Object} req - The request object containing the movie ID in the URL parameter.
+   * @returns {Object} JSON object with a confirmation `message`, or 404 if the user has not reviewed the movie.
+   */
+  router.delete('/movies/:id/reviews', auth, requireVerified, [checkMovieId('id')], validate, async (req, res, next) => {
+    await Reviews.findOneAndDelete({ Movie: req.params.id, User: req.user._id })
+      .then(async (review) => {
+        if (!review) {
+          return next(new NotFoundError('You have not reviewed this movie'));
+        }
+        await Reviews.refreshMovieRating(req.params.id);
+        res.json({ message: 'Your review was deleted.' });
+      })
+      .catch(next);
+  });
+}
@@ -0,0 +1,80 @@
+/**
+ * @module migrate-movie-schema
+ * @description One-off migration to the richer Movie schema. Converts existing movie documents in place:
+ * the single `Genre` object becomes the `Genres` array, and `Actors` name strings become `{ Name }` cast members.
+ * Documents that are already converted are left alone, so the script can safely be run again.
+ *
+ * Usage: `npm run migrate:movie-schema` (reads `CONNECTION_URI` from the environment or `.env`).
+ */
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const Models = require('../models.js');
+const config = require('../config.js');
+
+const Movies = Models.Movie;
+
+/**
+ * @function convertMovie
+ * @description Builds the update that converts one raw movie document to the new schema.
+ * @param {Object} movie - The raw movie document, as stored before the migration.
+ * @returns {Object|null} The update to apply, or `null` if the document is already converted.
+ */
+const convertMovie = (movie) => {
+    const $set = {};
+    const $unset = {};
+
+    if (movie.Genre !== undefined) {
+        if (!Array.isArray(movie.Genres) && movie.Genre && movie.Genre.Name) {
+            $set.Genres = [{ Name: movie.Genre.Name, Description: movie.Genre.Description }];
+        }
+        $unset.Genre = '';
+    }
+
+    if (Array.isArray(movie.Actors) && movie.Actors.some((actor) => typeof actor === 'string')) {
+        $set.Actors = movie.Actors.map((actor) => typeof actor === 'string' ? { Name: actor } : actor);
+    }
+
+    if (Object.keys($set).length === 0 && Object.keys($unset).length === 0) {
+        return null;
+    }
+    const update = {};
+    if (Object.keys($set).length > 0) {
+        update.$set = $set;
+    }
+    if (Object.keys($unset).length > 0) {
+        update.$unset = $unset;
+    }
+    return update;
+};
+
+const migrate = async () => {
+    await mongoose.connect(config.get('database').mongoUri);
+
+    // Work on the raw collection: the old fields do not exist in the new schema, so Mongoose would hide them
+    const cursor = Movies.collection.find({
+        $or: [{ Genre: { $exists: true } }, { Actors: { $type: 'string' } }]
+    });
+
+    let converted = 0;
+    for await (const movie of cursor) {
+        const update = convertMovie(movie);
+        if (update) {
+            await Movies.collection.updateOne({ _id: movie._id }, update);
+            converted += 1;
+            console.log(`Converted ${movie.Title}`);
+        }
+    }
+    console.log(`Migration finished: ${converted} movie(s) converted.`);
+};
+
+if (require.main === module) {
+    migrate()
+        .catch((err) => {
+            console.error('Migration failed:', err);
+            process.exitCode = 1;
+        })
+        .finally(() => mongoose.disconnect());
+}
+
+module.exports = { convertMovie };
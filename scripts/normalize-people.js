@@ -0,0 +1,127 @@
+/**
+ * @module normalize-people
+ * @description One-off migration that moves the directors and actors embedded in movie documents into the `Director`
+ * and `Person` collections. Every distinct name (ignoring case and surrounding spaces) becomes one record, and the
+ * movies are changed to reference it. Details such as a bio are taken from the first movie that has them.
+ * Movies that already reference their director and cast are left alone, so the script can safely be run again.
+ * Run `npm run migrate:movie-schema` first on databases that still use the old `Genre` and actor strings.
+ *
+ * Usage: `npm run migrate:normalize-people` (reads `CONNECTION_URI` from the environment or `.env`).
+ */
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const _ = require('lodash');
+const Models = require('../models.js');
+const config = require('../config.js');
+
+const Movies = Models.Movie;
+const Directors = Models.Director;
+const People = Models.Person;
+
+const DETAIL_FIELDS = ['Bio', 'Birth', 'Death'];
+
+/**
+ * @function nameKey
+ * @description Builds the key under which a name is deduplicated.
+ * @param {string} name - A director's or actor's name.
+ * @returns {string} The trimmed, lower-cased name.
+ */
+const nameKey = (name) => name.trim().toLowerCase();
+
+/**
+ * @function convertMovie
+ * @description Builds the update that makes one raw movie document reference its director and cast.
+ * @param {Object} movie - The raw movie document.
+ * @param {Function} directorId - Resolves an embedded director object to the ID of its `Director` record.
+ * @param {Function} personId - Resolves an embedded cast member to the ID of its `Person` record.
+ * @returns {Promise<Object|null>} The update to apply, or `null` if the document is already converted.
+ */
+const convertMovie = async (movie, directorId, personId) => {
+    const update = { $set: {}, $unset: {} };
+
+    if (_.isPlainObject(movie.Director)) {
+        if (_.isString(movie.Director.Name) && movie.Director.Name.trim() !== '') {
+            update.$set.Director = await directorId(movie.Director);
+        } else {
+            update.$unset.Director = '';
+        }
+    }
+
+    if (Array.isArray(movie.Actors) && movie.Actors.some((actor) => !actor || actor.Person === undefined)) {
+        const actors = [];
+        for (const actor of movie.Actors) {
+            const cast = _.isString(actor) ? { Name: actor } : actor;
+            if (cast && cast.Person !== undefined) {
+                actors.push(cast);
+            } else if (cast && _.isString(cast.Name) && cast.Name.trim() !== '') {
+                actors.push(_.omitBy({ Person: await personId(cast), Character: cast.Character }, _.isUndefined));
+            }
+        }
+        update.$set.Actors = actors;
+    }
+
+    if (_.isEmpty(update.$set) && _.isEmpty(update.$unset)) {
+        return null;
+    }
+    return _.omitBy(update, _.isEmpty);
+};
+
+// Helper function to build a resolver that finds or creates the record for a name, reusing records created earlier
+// in the run. Details missing from an existing record are filled in from later movies.
+const createResolver = (Model) => {
+    const known = new Map();
+    return async (embedded) => {
+        const key = nameKey(embedded.Name);
+        let record = known.get(key);
+        if (!record) {
+            record = await Model.findOne({ Name: embedded.Name.trim() }).collation(Models.NAME_COLLATION);
+            if (!record) {
+                record = new Model({ Name: embedded.Name.trim() });
+            }
+            known.set(key, record);
+        }
+        const missing = DETAIL_FIELDS.filter((field) => record[field] == null && embedded[field] != null);
+        if (record.isNew || missing.length > 0) {
+            missing.forEach((field) => {
+                record[field] = embedded[field];
+            });
+            await record.save();
+        }
+        return record._id;
+    };
+};
+
+const migrate = async () => {
+    await mongoose.connect(config.get('database').mongoUri);
+
+    // Work on the raw collection: the embedded fields do not fit the new schema, so Mongoose would cast them away
+    const cursor = Movies.collection.find({
+        $or: [{ Director: { $type: 'object' } }, { 'Actors.Name': { $exists: true } }, { Actors: { $type: 'string' } }]
+    });
+    const directorId = createResolver(Directors);
+    const personId = createResolver(People);
+
+    let converted = 0;
+    for await (const movie of cursor) {
+        const update = await convertMovie(movie, directorId, personId);
+        if (update) {
+            await Movies.collection.updateOne({ _id: movie._id }, update);
+            converted += 1;
+            console.log(`Converted ${movie.Title}`);
+        }
+    }
+    const [directors, people] = await Promise.all([Directors.countDocuments(), People.countDocuments()]);
+    console.log(`Migration finished: ${converted} movie(s) converted, ${directors} director(s) and ${people} people in the catalog.`);
+};
+
+if (require.main === module) {
+    migrate()
+        .catch((err) => {
+            console.error('Migration failed:', err);
+            process.exitCode = 1;
+        })
+        .finally(() => mongoose.disconnect());
+}
+
+module.exports = { nameKey, convertMovie };
@@ -0,0 +1,79 @@
+/**
+ * @module seed-posters
+ * @description Uploads the posters bundled in `movie_covers/` to the S3 bucket and links each one to the movie with the
+ * matching title. File names are matched to titles ignoring case, punctuation and the `_` in place of spaces, so
+ * `The_Lord_of_the_Rings_The_Fellowship_of_the_Ring.jpg` belongs to "The Lord of the Rings: The Fellowship of the Ring".
+ * Files without a matching movie are reported and skipped. Running the script again uploads the files again and
+ * leaves the links unchanged.
+ *
+ * Usage: `npm run seed:posters` (reads `CONNECTION_URI` and the AWS settings from the environment or `.env`).
+ */
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const { S3Client, PutObjectCommand } = require('@aws-sdk/client-s3');
+const Models = require('../models.js');
+const config = require('../config.js');
+const images = require('../images.js');
+
+const Movies = Models.Movie;
+
+const COVERS_DIR = path.join(__dirname, '..', 'movie_covers');
+
+/**
+ * @function titleKey
+ * @description Reduces a movie title or poster file name to the form they are matched by.
+ * @param {string} title - The title, or a file name without its extension.
+ * @returns {string} The lower-cased words of the title, separated by single spaces.
+ */
+const titleKey = (title) => title
+    .toLowerCase()
+    .replace(/_/g, ' ')
+    .replace(/[^\p{L}\p{N}\s]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+const seed = async () => {
+    await mongoose.connect(config.get('database').mongoUri);
+
+    const s3Client = new S3Client(images.s3ClientConfig());
+    const movies = await Movies.find().select('Title');
+    const moviesByTitle = new Map(movies.map((movie) => [titleKey(movie.Title), movie]));
+
+    let linked = 0;
+    for (const fileName of fs.readdirSync(COVERS_DIR).sort()) {
+        const contentType = images.contentTypeOf(fileName);
+        if (!contentType) {
+            continue;
+        }
+        const movie = moviesByTitle.get(titleKey(path.parse(fileName).name));
+        if (!movie) {
+            console.log(`Skipped ${fileName}: no movie with a matching title`);
+            continue;
+        }
+        const key = images.posterKey(movie, contentType);
+        await s3Client.send(new PutObjectCommand({
+            Bucket: images.BUCKET_NAME,
+            Key: key,
+            Body: fs.readFileSync(path.join(COVERS_DIR, fileName)),
+            ContentType: contentType
+        }));
+        await Movies.updateOne({ _id: movie._id }, { $set: { ImagePath: key } });
+        linked += 1;
+        console.log(`Linked ${fileName} to ${movie.Title}`);
+    }
+    console.log(`Seeding finished: ${linked} poster(s) linked.`);
+};
+
+if (require.main === module) {
+    seed()
+        .catch((err) => {
+            console.error('Seeding failed:', err);
+            process.exitCode = 1;
+        })
+        .finally(() => mongoose.disconnect());
+}
+
+module.exports = { titleKey };
@@ -0,0 +1,169 @@
+/**
+ * @module search
+ * @description This module implements the full-text movie search. It turns a search phrase into a MongoDB query,
+ * ranks the matching movies by relevance and builds highlighted snippets of the matched text.
+ */
+const _ = require('lodash');
+
+/**
+ * Movie fields that are searched, with the weight a match in that field adds to the relevance score.
+ */
+const SEARCH_FIELDS = {
+    'Title': 10,
+    'Genres.Name': 5,
+    'Director.Name': 5,
+    'Actors.Name': 4,
+    'Actors.Character': 2,
+    'Description': 1
+};
+
+/**
+ * Searched fields whose values are stored in other collections, with the movie field that references them.
+ * Movies cannot be filtered by these names directly; the matching directors and people are looked up first.
+ */
+const REFERENCED_FIELDS = {
+    'Director.Name': 'Director',
+    'Actors.Name': 'Actors.Person'
+};
+
+// Number of characters shown on each side of a match in a snippet
+const SNIPPET_CONTEXT = 40;
+
+/**
+ * @function tokenize
+ * @description Splits a search phrase into distinct, lower-cased search terms.
+ * @param {string} phrase - The search phrase entered by the user.
+ * @returns {string[]} The search terms.
+ */
+const tokenize = (phrase) => {
+    return _.uniq(phrase.toLowerCase().split(/\s+/).filter((term) => term !== ''));
+};
+
+// Helper function to collect the values at a dotted path, following arrays such as Genres and Actors.
+// Also tells whether the path went through an array, i.e. whether the field can hold several values.
+const valuesAt = (object, path) => {
+    const [head, ...rest] = path.split('.');
+    const value = _.get(object, head);
+    if (value === undefined || value === null) {
+        return { values: [], multiple: false };
+    }
+    const items = [].concat(value);
+    if (rest.length === 0) {
+        return { values: items, multiple: Array.isArray(value) };
+    }
+    const nested = items.map((item) => valuesAt(item, rest.join('.')));
+    return {
+        values: _.flatMap(nested, 'values'),
+        multiple: Array.isArray(value) || nested.some((result) => result.multiple)
+    };
+};
+
+// Helper function to build a case-insensitive regular expression matching any of the terms
+const termsPattern = (terms, flags) => new RegExp(terms.map(_.escapeRegExp).join('|'), flags);
+
+/**
+ * @function namePattern
+ * @description Builds the filter for looking up the directors and people whose name contains any of the search terms.
+ * @param {string[]} terms - The search terms.
+ * @returns {Object} The MongoDB filter for the `Director` and `Person` collections.
+ */
+const namePattern = (terms) => ({ Name: termsPattern(terms, 'i') });
+
+/**
+ * @function buildSearchQuery
+ * @description Builds a MongoDB filter that matches movies containing any of the search terms in any searched field.
+ * Terms match partially and ignore case, so `godfath` matches "The Godfather".
+ * @param {string[]} terms - The search terms.
+ * @param {Object} [referencedIds] - The IDs of the directors and people whose name matches, keyed by the movie field
+ * that references them (`Director` and `Actors.Person`).
+ * @returns {Object} The MongoDB filter.
+ */
+const buildSearchQuery = (terms, referencedIds = {}) => {
+    const pattern = termsPattern(terms, 'i');
+    return {
+        $or: Object.keys(SEARCH_FIELDS).map((field) => {
+            const reference = REFERENCED_FIELDS[field];
+            return reference ? { [reference]: { $in: referencedIds[reference] || [] } } : { [field]: pattern };
+        })
+    };
+};
+
+/**
+ * @function highlight
+ * @description Wraps every occurrence of the search terms in `<mark>` tags and HTML-escapes the rest. Long texts are cut
+ * down to a snippet around the first match.
+ * @param {string} text - The text to highlight.
+ * @param {string[]} terms - The search terms.
+ * @returns {string|null} The highlighted snippet, or `null` if the text contains none of the terms.
+ */
+const highlight = (text, terms) => {
+    const first = text.search(termsPattern(terms, 'i'));
+    if (first === -1) {
+        return null;
+    }
+    let start = Math.max(0, first - SNIPPET_CONTEXT);
+    let end = Math.min(text.length, first + SNIPPET_CONTEXT * 2);
+    if (text.length <= SNIPPET_CONTEXT * 3) {
+        start = 0;
+        end = text.length;
+    }
+    // Splitting on a capturing pattern puts the matches at the odd indexes; everything else is escaped as plain text
+    const snippet = text.slice(start, end)
+        .split(new RegExp(`(${termsPattern(terms).source})`, 'i'))
+        .map((part, index) => index % 2 === 1 ? `<mark>${_.escape(part)}</mark>` : _.escape(part))
+        .join('');
+    return (start > 0 ? '…' : '') + snippet + (end < text.length ? '…' : '');
+};
+
+/**
+ * @function scoreMovie
+ * @description Ranks a movie against the search terms and collects highlighted snippets for every matched field.
+ * Each term found in a field adds that field's weight; whole-word matches count double, and a title starting with
+ * the full search phrase gets an extra boost.
+ * @param {Object} movie - The movie document (plain object) with its director and cast populated.
+ * @param {string[]} terms - The search terms.
+ * @param {string} phrase - The original search phrase.
+ * @returns {{score: number, highlights: Object}} The relevance score and the snippets keyed by field name.
+ */
+const scoreMovie = (movie, terms, phrase) => {
+    let score = 0;
+    const highlights = {};
+    const multiple = {};
+
+    _.forEach(SEARCH_FIELDS, (weight, field) => {
+        const found = valuesAt(movie, field);
+        multiple[field] = found.multiple;
+        found.values.filter(_.isString).forEach((value) => {
+            const lower = value.toLowerCase();
+            terms.forEach((term) => {
+                if (lower.includes(term)) {
+                    const wholeWord = new RegExp(`\\b${_.escapeRegExp(term)}\\b`).test(lower);
+                    score += wholeWord ? weight * 2 : weight;
+                }
+            });
+            const snippet = highlight(value, terms);
+            if (snippet) {
+                highlights[field] = (highlights[field] || []).concat(snippet);
+            }
+        });
+    });
+
+    if (_.isString(movie.Title) && movie.Title.toLowerCase().replace(/^the\s+/, '').startsWith(phrase.toLowerCase().trim())) {
+        score += SEARCH_FIELDS.Title * 2;
+    }
+
+    // Array fields such as Actors keep one snippet per matched entry; text fields have a single snippet
+    return {
+        score: score,
+        highlights: _.mapValues(highlights, (snippets, field) => multiple[field] ? snippets : snippets[0])
+    };
+};
+
+module.exports = {
+    SEARCH_FIELDS,
+    tokenize,
+    namePattern,
+    buildSearchQuery,
+    highlight,
+    scoreMovie
+};
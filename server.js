@@ -0,0 +1,129 @@
+/**
+ * @module server
+ * @description This module is the entry point of the API server. It checks the configuration, connects to MongoDB,
+ * creates the application with an S3 client for the configured bucket and starts listening for requests. It exits
+ * with an error instead if the configuration is invalid or the database cannot be reached. While it runs, it regularly
+ * removes the direct uploads that were never completed.
+ *
+ * On SIGTERM or SIGINT the server shuts down gracefully: readiness turns to 503, no new connections are accepted,
+ * requests in flight are finished, and then the MongoDB connection is closed. If that takes longer than
+ * `SHUTDOWN_TIMEOUT_MS`, the remaining connections are dropped and the process exits with an error.
+ */
+const { ConfigError, loadConfig, redact } = require('./config.js');
+
+let config;
+try {
+    config = loadConfig();
+} catch (error) {
+    if (!(error instanceof ConfigError)) {
+        throw error;
+    }
+    console.error(error.message);
+    process.exit(1);
+}
+
+const mongoose = require('mongoose');
+const { S3Client } = require('@aws-sdk/client-s3');
+const { createApp } = require('./app.js');
+const { expireStaleUploads } = require('./uploads.js');
+const { s3ClientConfig } = require('./images.js');
+const { logger } = require('./logger.js');
+const metrics = require('./metrics.js');
+
+// How often direct uploads that were never completed are looked for
+const EXPIRE_UPLOADS_INTERVAL_MS = 10 * 60 * 1000;
+
+logger.info('Starting', { profile: config.profile, config: redact(config) });
+
+// AWS credentials come from the environment (AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY) or the instance role
+const s3Client = new S3Client(s3ClientConfig());
+const app = createApp({ s3Client: s3Client, config: config });
+
+let server;
+let expireUploads;
+
+/**
+ * Removes the direct uploads that were never completed, logging how many there were.
+ * @returns {Promise<void>}
+ */
+const removeStaleUploads = () => expireStaleUploads(s3Client)
+    .then((count) => {
+        if (count > 0) {
+            logger.info('Removed uploads that were never completed', { count: count });
+        }
+    })
+    .catch((err) => logger.error('Could not remove the uploads that were never completed', { error: err }));
+
+/**
+ * Stops the server gracefully, and exits once it has stopped or when the shutdown timeout is up.
+ * @param {string} signal - The signal that asked for the shutdown.
+ * @returns {void}
+ */
+const shutdown = (signal) => {
+    if (app.locals.shuttingDown) {
+        return;
+    }
+    app.locals.shuttingDown = true;
+    logger.info('Shutting down', { signal: signal });
+    clearInterval(expireUploads);
+
+    setTimeout(() => {
+        logger.error('Shutdown timed out, dropping the remaining connections', { timeoutMs: config.http.shutdownTimeoutMs });
+        if (server) {
+            server.closeAllConnections();
+        }
+        process.exit(1);
+    }, config.http.shutdownTimeoutMs).unref();
+
+    const closeServer = new Promise((resolve, reject) => {
+        if (!server) {
+            return resolve();
+        }
+        // Keep-alive connections would otherwise hold the server open, so they are closed as soon as they are idle
+        const closeIdle = setInterval(() => server.closeIdleConnections(), 100);
+        server.close((err) => {
+            clearInterval(closeIdle);
+            return err ? reject(err) : resolve();
+        });
+    });
+    closeServer
+        .then(() => mongoose.disconnect())
+        .then(() => {
+            logger.info('Shutdown complete');
+            process.exit(0);
+        })
+        .catch((err) => {
+            logger.error('Shutdown failed', { error: err });
+            process.exit(1);
+        });
+};
+
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+process.once('SIGINT', () => shutdown('SIGINT'));
+
+// Command monitoring feeds the MongoDB timings of the metrics
+mongoose.connect(config.database.mongoUri, { monitorCommands: true })
+    .then(() => {
+        if (app.locals.shuttingDown) {
+            return;
+        }
+        logger.info('Connected to MongoDB');
+        metrics.instrumentMongo(mongoose.connection.getClient());
+        expireUploads = setInterval(removeStaleUploads, EXPIRE_UPLOADS_INTERVAL_MS);
+
+        /**
+         * Starts the Express server to listen for incoming requests.
+         * @param {number} port - The port number to run the server on.
+         * @returns {void} Logs a message indicating the server is running.
+         */
+        server = app.listen(config.http.port, '0.0.0.0', () => {
+            logger.info('Listening', { port: config.http.port });
+        });
+    })
+    .catch((err) => {
+        if (app.locals.shuttingDown) {
+            return;
+        }
+        logger.error('Could not connect to MongoDB', { error: err });
+        process.exit(1);
+    });
@@ -0,0 +1,106 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const helpers = require('./helpers.js');
+const Models = require('../models.js');
+const settings = require('../config.js');
+
+// Helper function to wait for the mail that a request sends after it has answered
+const waitForMail = async (count) => {
+    for (let attempt = 0; attempt < 50 && helpers.sentMail.length < count; attempt++) {
+        await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    assert.equal(helpers.sentMail.length, count);
+};
+
+describe('auth and account routes', () => {
+    let app;
+
+    before(helpers.startDatabase);
+    after(helpers.stopDatabase);
+    beforeEach(async () => {
+        await helpers.clearDatabase();
+        // A new application per test, so that the login rate limits start over
+        app = helpers.createTestApp().app;
+    });
+
+    it('refreshes tokens once and logs out of a session', async () => {
+        await helpers.createUser({ Username: 'moviefan', Password: 'secret123' });
+        const login = await request(app).post('/login').send({ Username: 'moviefan', Password: 'secret123' }).expect(200);
+        assert.ok(login.body.token && login.body.refreshToken);
+
+        const refreshed = await request(app).post('/refresh').send({ refreshToken: login.body.refreshToken }).expect(200);
+        assert.notEqual(refreshed.body.refreshToken, login.body.refreshToken);
+        // A used refresh token is refused, and revokes the tokens issued in its place
+        await request(app).post('/refresh').send({ refreshToken: login.body.refreshToken }).expect(401);
+        await request(app).post('/refresh').send({ refreshToken: refreshed.body.refreshToken }).expect(401);
+
+        const session = await request(app).post('/login').send({ Username: 'moviefan', Password: 'secret123' }).expect(200);
+        await request(app)
+            .post('/logout')
+            .set('Authorization', 'Bearer ' + session.body.token)
+            .send({ refreshToken: session.body.refreshToken })
+            .expect(200);
+        await request(app).get('/users/moviefan').set('Authorization', 'Bearer ' + session.body.token).expect(401);
+        await request(app).post('/refresh').send({ refreshToken: session.body.refreshToken }).expect(401);
+    });
+
+    it('logs out of every session at once', async () => {
+        const { auth } = await helpers.createUser({ Username: 'moviefan', Password: 'secret123' });
+        const login = await request(app).post('/login').send({ Username: 'moviefan', Password: 'secret123' }).expect(200);
+
+        await request(app).post('/logout/all').set('Authorization', auth).expect(200);
+
+        await request(app).get('/users/moviefan').set('Authorization', auth).expect(401);
+        await request(app).get('/users/moviefan').set('Authorization', 'Bearer ' + login.body.token).expect(401);
+        await request(app).post('/refresh').send({ refreshToken: login.body.refreshToken }).expect(401);
+    });
+
+    it('locks an account after too many failed logins', async () => {
+        const { user } = await helpers.createUser({ Username: 'moviefan', Password: 'secret123' });
+        for (let attempt = 0; attempt < settings.get('auth').maxFailedLogins; attempt++) {
+            await request(app).post('/login').send({ Username: 'moviefan', Password: 'wrong-one' }).expect(401);
+        }
+
+        await request(app).post('/login').send({ Username: 'moviefan', Password: 'secret123' }).expect(401);
+
+        const locked = await Models.User.findById(user._id);
+        assert.ok(locked.isLocked());
+        assert.equal(locked.LockoutEvents.length, 1);
+        const event = await Models.AuditEvent.findOne({ Action: 'login.failed' }).sort({ _id: -1 });
+        assert.equal(event.Details.reason, 'locked');
+    });
+
+    it('limits the login attempts per account', async () => {
+        const auth = Object.assign({}, settings.get('auth'), { loginMaxPerAccount: 2 });
+        app = helpers.createTestApp({ config: { auth: auth } }).app;
+        await helpers.createUser({ Username: 'moviefan', Password: 'secret123' });
+
+        await request(app).post('/login').send({ Username: 'moviefan', Password: 'wrong-one' }).expect(401);
+        await request(app).post('/login').send({ Username: 'MovieFan', Password: 'wrong-one' }).expect(401);
+        const res = await request(app).post('/login').send({ Username: 'moviefan', Password: 'secret123' }).expect(429);
+
+        assert.equal(res.body.error.code, 'too_many_requests');
+        assert.ok(Number(res.headers['retry-after']) > 0);
+        await request(app).post('/login').send({ Username: 'otheruser', Password: 'wrong-one' }).expect(401);
+    });
+
+    it('resets a password with the emailed token and logs out every session', async () => {
+        const { auth } = await helpers.createUser({ Username: 'moviefan', Password: 'secret123' });
+
+        await request(app).post('/password-reset/request').send({ Email: 'nobody@example.com' }).expect(202);
+        await request(app).post('/password-reset/request').send({ Email: 'moviefan@example.com' }).expect(202);
+        await waitForMail(1);
+        assert.equal(helpers.sentMail[0].to, 'moviefan@example.com');
+        const token = helpers.sentMail[0].text.match(/:\n\n(\S+)/)[1];
+
+        await request(app).post('/password-reset/confirm').send({ token: token, Password: 'new-secret' }).expect(200);
+        const event = await Models.AuditEvent.findOne({ Action: 'user.password_reset' });
+        assert.equal(event.TargetId, 'moviefan');
+        await request(app).post('/password-reset/confirm').send({ token: token, Password: 'again' }).expect(400);
+
+        await request(app).get('/users/moviefan').set('Authorization', auth).expect(401);
+        await request(app).post('/login').send({ Username: 'moviefan', Password: 'secret123' }).expect(401);
+        await request(app).post('/login').send({ Username: 'moviefan', Password: 'new-secret' }).expect(200);
+    });
+});
@@ -0,0 +1,88 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { S3 } = require('@aws-sdk/client-s3');
+const helpers = require('./helpers.js');
+const { createHandler } = require('../handler.js');
+const images = require('../images.js');
+const { createLogger } = require('../logger.js');
+
+// Builds an S3 event for uploaded object keys, with the keys encoded as S3 encodes them
+const uploadEvent = (...keys) => ({
+    Records: keys.map((key) => ({ s3: { object: { key: encodeURIComponent(key).replace(/%20/g, '+') } } }))
+});
+
+describe('resize handler', () => {
+    // The handler runs with the aggregated client, as in Lambda
+    const s3 = new S3(images.s3ClientConfig());
+    let handler;
+
+    before(helpers.startS3);
+    after(helpers.stopS3);
+    beforeEach(async () => {
+        await helpers.clearBucket();
+        handler = createHandler(s3, images.BUCKET_NAME);
+        await s3.putObject({
+            Bucket: images.BUCKET_NAME,
+            Key: 'original-images/my poster.png',
+            Body: await sharp({ create: { width: 800, height: 1200, channels: 3, background: '#224466' } }).png().toBuffer(),
+            ContentType: 'image/png'
+        });
+    });
+
+    it('generates the variants and the manifest of an original image', async () => {
+        const response = await handler(uploadEvent('original-images/my poster.png'));
+
+        assert.equal(response.statusCode, 200);
+        assert.deepEqual(JSON.parse(response.body), [{ key: 'original-images/my poster.png', status: 'processed' }]);
+        const manifestKey = images.manifestKey('original-images/my poster.png');
+        const manifest = JSON.parse((await helpers.readObject(manifestKey)).toString('utf8'));
+        assert.equal(manifest.source.width, 800);
+        const stored = await helpers.listKeys();
+        for (const variant of Object.values(manifest.variants)) {
+            for (const file of Object.values(variant)) {
+                assert.ok(stored.includes(file.key), file.key + ' was not stored');
+            }
+        }
+        assert.equal(manifest.variants.thumb.png.width, 300);
+    });
+
+    it('leaves processed images and its own outputs alone', async () => {
+        await handler(uploadEvent('original-images/my poster.png'));
+        const stored = await helpers.listKeys();
+
+        const response = await handler(uploadEvent(
+            'original-images/my poster.png',
+            images.variantKey('original-images/my poster.png', 'thumb', 'webp')
+        ));
+
+        assert.deepEqual(JSON.parse(response.body).map((result) => result.status), ['unchanged', 'skipped']);
+        assert.deepEqual(await helpers.listKeys(), stored);
+    });
+
+    it('logs with the Lambda request ID and the ID of the request that uploaded the image', async () => {
+        const entries = [];
+        const log = createLogger({ write: (line) => entries.push(JSON.parse(line)) });
+        await s3.putObject({
+            Bucket: images.BUCKET_NAME,
+            Key: 'original-images/tagged.png',
+            Body: await sharp({ create: { width: 10, height: 10, channels: 3, background: '#000000' } }).png().toBuffer(),
+            ContentType: 'image/png',
+            Metadata: { 'request-id': 'api-request-1' }
+        });
+
+        await createHandler(s3, images.BUCKET_NAME, log)(uploadEvent('original-images/tagged.png'), { awsRequestId: 'lambda-1' });
+
+        const entry = entries.find((logEntry) => logEntry.msg === 'Image handled');
+        assert.equal(entry.requestId, 'lambda-1');
+        assert.equal(entry.uploadRequestId, 'api-request-1');
+        assert.equal(entry.status, 'processed');
+    });
+
+    it('reports images that could not be processed', async () => {
+        const response = await handler(uploadEvent('original-images/missing.jpg'));
+
+        assert.equal(response.statusCode, 500);
+        assert.equal(JSON.parse(response.body)[0].status, 'failed');
+    });
+});
@@ -0,0 +1,78 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const helpers = require('./helpers.js');
+const metrics = require('../metrics.js');
+const settings = require('../config.js');
+
+// A stand-in for a connected Mongoose connection whose ping can be made to fail
+const fakeConnection = (ping = async () => ({ ok: 1 })) => ({ readyState: 1, db: { admin: () => ({ ping: ping }) } });
+
+describe('health and metrics routes', () => {
+    before(helpers.startS3);
+    after(helpers.stopS3);
+
+    it('is live without checking any dependency', async () => {
+        const { app } = helpers.createTestApp();
+
+        const res = await request(app).get('/health/live').expect(200);
+        assert.deepEqual(res.body, { status: 'ok' });
+    });
+
+    it('is ready when MongoDB and the bucket answer', async () => {
+        const { app } = helpers.createTestApp({ connection: fakeConnection() });
+
+        const res = await request(app).get('/health/ready').expect(200);
+
+        assert.equal(res.body.status, 'ok');
+        assert.equal(res.body.checks.mongodb.status, 'ok');
+        assert.equal(res.body.checks.s3.status, 'ok');
+    });
+
+    it('is not ready when a dependency fails, and does not say why', async () => {
+        const disconnected = helpers.createTestApp({ connection: { readyState: 0 } }).app;
+        const res = await request(disconnected).get('/health/ready').expect(503);
+        assert.equal(res.body.status, 'unavailable');
+        assert.deepEqual(Object.keys(res.body.checks.mongodb), ['status', 'durationMs']);
+
+        const failingPing = helpers.createTestApp({
+            connection: fakeConnection(async () => { throw new Error('mongodb://admin:hunter2@db failed'); })
+        }).app;
+        const failed = await request(failingPing).get('/health/ready').expect(503);
+        assert.equal(failed.body.checks.mongodb.status, 'error');
+        assert.ok(!JSON.stringify(failed.body).includes('hunter2'));
+    });
+
+    it('is not ready while shutting down', async () => {
+        const { app } = helpers.createTestApp({ connection: fakeConnection() });
+        app.locals.shuttingDown = true;
+
+        const res = await request(app).get('/health/ready').expect(503);
+        assert.equal(res.body.status, 'shutting_down');
+    });
+
+    it('does not serve the metrics unless they are turned on', async () => {
+        const { app } = helpers.createTestApp();
+
+        await request(app).get('/metrics').expect(404);
+    });
+
+    it('exposes request, upload and resize metrics in the Prometheus format', async () => {
+        const { app } = helpers.createTestApp({ config: { http: { ...settings.get('http'), metricsEnabled: true } } });
+        await request(app).get('/health/live').expect(200);
+        await request(app).get('/no-such-route').expect(404);
+        metrics.recordUpload('stored', 2048);
+        metrics.recordResize('processed', 0.2);
+
+        const res = await request(app).get('/metrics').expect(200);
+
+        assert.match(res.headers['content-type'], /^text\/plain/);
+        assert.match(res.text, /http_requests_total\{method="GET",route="\/health\/live",status="200"\} [1-9]/);
+        assert.match(res.text, /http_requests_total\{method="GET",route="unmatched",status="404"\} [1-9]/);
+        assert.match(res.text, /http_request_duration_seconds_bucket\{le="0.005",method="GET",route="\/health\/live"/);
+        assert.match(res.text, /uploads_total\{outcome="stored"\} [1-9]/);
+        assert.match(res.text, /upload_size_bytes_sum [1-9]/);
+        assert.match(res.text, /image_resize_total\{status="processed"\} [1-9]/);
+        assert.match(res.text, /process_cpu_seconds_total/);
+    });
+});
@@ -0,0 +1,123 @@
+/**
+ * @module test/helpers
+ * @description Shared setup for the tests: an in-memory MongoDB server, a local S3-compatible server (see the
+ * `test/s3` module), and helpers to create users and the tokens to authenticate as them.
+ */
+// The test profile supplies the settings the tests need, such as the JWT secret (see the config module)
+process.env.NODE_ENV = 'test';
+
+// Sets `S3_ENDPOINT`, so it comes before anything that loads the settings
+const s3 = require('./s3.js');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const mailer = require('../mailer.js');
+const Models = require('../models.js');
+const { createApp } = require('../app.js');
+const { generateJWTToken } = require('../auth.js');
+
+let mongod;
+// Why the database could not be started, if it could not
+let databaseError;
+
+// Mail is collected instead of printed, so tests can read verification links
+const sentMail = [];
+mailer.setTransport({ send: async (message) => { sentMail.push(message); } });
+
+/**
+ * @function startDatabase
+ * @description Starts an in-memory MongoDB server and connects Mongoose to it. The server downloads a MongoDB binary
+ * on first use; where that is not possible, set `MONGOMS_SYSTEM_BINARY` to the path of an installed `mongod`, or
+ * `MONGO_TEST_URI` to use an existing server instead. If the database cannot be started, the error is kept and
+ * `clearDatabase()` throws it, so that every test of the suite fails with it instead of being cancelled.
+ * @returns {Promise<void>}
+ */
+const startDatabase = async () => {
+    try {
+        let uri = process.env.MONGO_TEST_URI;
+        if (!uri) {
+            mongod = await MongoMemoryServer.create();
+            uri = mongod.getUri();
+        }
+        await mongoose.connect(uri, { dbName: 'myflix-test-' + process.pid });
+        await Promise.all(Object.values(mongoose.models).map((model) => model.init()));
+    } catch (error) {
+        databaseError = new Error('Could not start the test database: ' + error.message + '. Set MONGOMS_SYSTEM_BINARY ' +
+            'to an installed mongod, or MONGO_TEST_URI to an existing MongoDB server, to run the tests without ' +
+            'downloading MongoDB.', { cause: error });
+    }
+};
+
+/**
+ * @function stopDatabase
+ * @description Drops the test database, disconnects Mongoose and stops the in-memory server.
+ * @returns {Promise<void>}
+ */
+const stopDatabase = async () => {
+    if (mongoose.connection.readyState === 1) {
+        await mongoose.connection.dropDatabase();
+    }
+    await mongoose.disconnect();
+    if (mongod) {
+        await mongod.stop();
+        mongod = undefined;
+    }
+};
+
+/**
+ * @function clearDatabase
+ * @description Deletes every document, so that each test starts from an empty database. Throws the error that kept
+ * `startDatabase()` from starting the database.
+ * @returns {Promise<void>}
+ */
+const clearDatabase = async () => {
+    if (databaseError) {
+        throw databaseError;
+    }
+    await Promise.all(Object.values(mongoose.connection.collections).map((collection) => collection.deleteMany({})));
+    sentMail.length = 0;
+};
+
+/**
+ * @function createTestApp
+ * @description Creates the application with an S3 client for the local S3 server. Tests that reach the bucket start
+ * the server with `startS3()`.
+ * @param {Object} [options] - More options for `createApp`, such as the `connection` to check readiness on.
+ * @returns {{app: Express, s3: S3Client}} The application and its S3 client.
+ */
+const createTestApp = (options = {}) => {
+    const s3Client = s3.createClient();
+    return { app: createApp(Object.assign({ models: Models, s3Client: s3Client }, options)), s3: s3Client };
+};
+
+/**
+ * @function createUser
+ * @description Stores a verified user and signs an access token for them.
+ * @param {Object} [fields] - Fields to set on the user, such as `Role: 'admin'`.
+ * @returns {Promise<{user: Object, token: string, auth: string}>} The user, the token, and the value of the
+ * `Authorization` header that authenticates as them.
+ */
+const createUser = async (fields = {}) => {
+    const username = fields.Username || 'user' + Math.random().toString(36).slice(2, 10);
+    const user = await Models.User.create(Object.assign({
+        Username: username,
+        Email: username + '@example.com',
+        Verified: true
+    }, fields, { Password: Models.User.hashPassword(fields.Password || 'password123') }));
+    const token = generateJWTToken(user);
+    return { user: user, token: token, auth: 'Bearer ' + token };
+};
+
+module.exports = {
+    sentMail,
+    startDatabase,
+    stopDatabase,
+    clearDatabase,
+    startS3: s3.start,
+    stopS3: s3.stop,
+    clearBucket: s3.clear,
+    listKeys: s3.listKeys,
+    readObject: s3.readObject,
+    createS3Client: s3.createClient,
+    createTestApp,
+    createUser
+};
@@ -0,0 +1,197 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const sharp = require('sharp');
+const { PutObjectCommand } = require('@aws-sdk/client-s3');
+const helpers = require('./helpers.js');
+const Models = require('../models.js');
+const images = require('../images.js');
+const { expireStaleUploads } = require('../uploads.js');
+
+const png = (width, height) => sharp({ create: { width: width, height: height, channels: 3, background: '#993366' } })
+    .png()
+    .toBuffer();
+
+// Sends a file to a presigned upload URL as a client would, with the headers the API returned unless others are given
+const sendFile = (presigned, body, headers = presigned.headers) => {
+    return fetch(presigned.url, { method: presigned.method, headers: headers, body: body });
+};
+
+describe('image routes', () => {
+    let app;
+    let s3;
+    let admin;
+    let member;
+
+    before(async () => {
+        await helpers.startDatabase();
+        await helpers.startS3();
+        ({ app, s3 } = helpers.createTestApp());
+    });
+    after(async () => {
+        await helpers.stopDatabase();
+        await helpers.stopS3();
+    });
+    beforeEach(async () => {
+        await helpers.clearDatabase();
+        await helpers.clearBucket();
+        admin = await helpers.createUser({ Username: 'adminuser', Role: 'admin' });
+        member = await helpers.createUser({ Username: 'memberone' });
+    });
+
+    it('stores an uploaded image under a random key and records the upload', async () => {
+        await request(app).post('/upload').attach('image', await png(10, 10), 'poster.png').expect(401);
+        await request(app)
+            .post('/upload')
+            .set('Authorization', member.auth)
+            .attach('image', Buffer.from('not an image'), 'poster.png')
+            .expect(415);
+
+        const res = await request(app)
+            .post('/upload')
+            .set('Authorization', member.auth)
+            .attach('image', await png(10, 10), 'poster.png')
+            .expect(201);
+
+        assert.match(res.body.upload.Key, /^original-images\/[0-9a-f-]{36}\.png$/);
+        assert.equal(res.body.upload.OriginalName, 'poster.png');
+        assert.equal(res.body.upload.Status, 'stored');
+        assert.deepEqual(await helpers.listKeys(), [res.body.upload.Key]);
+
+        const filename = res.body.upload.Key.split('/').pop();
+        await request(app).get('/download/' + filename).expect(401);
+    });
+
+    it('completes a direct upload once the file is in the bucket', async () => {
+        const image = await png(20, 30);
+        await request(app)
+            .post('/uploads/presign')
+            .set('Authorization', member.auth)
+            .send({ ContentType: 'image/webp', Size: image.length })
+            .expect(415);
+
+        const presigned = await request(app)
+            .post('/uploads/presign')
+            .set('Authorization', member.auth)
+            .send({ ContentType: 'image/png', Size: image.length, FileName: 'poster.png' })
+            .expect(201);
+        const upload = presigned.body.upload;
+        assert.equal(presigned.body.method, 'PUT');
+        assert.match(upload.Key, /^staged-uploads\/[0-9a-f-]{36}\.png$/);
+        assert.ok(presigned.body.url.includes(encodeURI(upload.Key)));
+
+        const complete = () => request(app).post('/uploads/' + upload._id + '/complete').set('Authorization', member.auth);
+        await complete().expect(409);
+        assert.equal((await sendFile(presigned.body, image)).status, 200);
+        // Nothing sees the file before it has been checked
+        const library = await request(app).get('/images').set('Authorization', member.auth).expect(200);
+        assert.deepEqual(library.body.images, []);
+        const res = await complete().expect(200);
+
+        assert.equal(res.body.Status, 'stored');
+        assert.equal(res.body.Key, 'original-images/' + upload.Key.split('/').pop());
+        assert.equal(res.body.Width, 20);
+        assert.equal(res.body.Height, 30);
+        assert.deepEqual(await helpers.listKeys(), [res.body.Key]);
+    });
+
+    it('removes direct uploads that were never completed', async () => {
+        const image = await png(10, 10);
+        const presigned = await request(app)
+            .post('/uploads/presign')
+            .set('Authorization', member.auth)
+            .send({ ContentType: 'image/png', Size: image.length })
+            .expect(201);
+        await sendFile(presigned.body, image);
+
+        assert.equal(await expireStaleUploads(s3), 0);
+        // Long after the URL has expired
+        await Models.Upload.collection.updateOne({ Key: presigned.body.upload.Key },
+            { $set: { createdAt: new Date(Date.now() - 24 * 60 * 60 * 1000) } });
+        assert.equal(await expireStaleUploads(s3), 1);
+
+        assert.equal((await Models.Upload.findById(presigned.body.upload._id)).Status, 'expired');
+        assert.deepEqual(await helpers.listKeys(), []);
+    });
+
+    it('only lets the presigned URL take a file of the announced type and size', async () => {
+        const image = await png(20, 30);
+        const presigned = await request(app)
+            .post('/uploads/presign')
+            .set('Authorization', member.auth)
+            .send({ ContentType: 'image/png', Size: image.length })
+            .expect(201);
+
+        const otherType = await sendFile(presigned.body, image, { 'Content-Type': 'image/gif' });
+        assert.equal(otherType.status, 403);
+        const larger = Buffer.concat([image, Buffer.alloc(16)]);
+        const otherSize = await sendFile(presigned.body, larger, { 'Content-Type': 'image/png' });
+        assert.equal(otherSize.status, 403);
+
+        assert.deepEqual(await helpers.listKeys(), []);
+        await request(app)
+            .post('/uploads/' + presigned.body.upload._id + '/complete')
+            .set('Authorization', member.auth)
+            .expect(409);
+    });
+
+    it('refuses a direct upload whose file is not the announced image and deletes it', async () => {
+        const presigned = await request(app)
+            .post('/uploads/presign')
+            .set('Authorization', member.auth)
+            .send({ ContentType: 'image/png', Size: 13 })
+            .expect(201);
+        assert.equal((await sendFile(presigned.body, Buffer.from('not an image!'))).status, 200);
+
+        const res = await request(app)
+            .post('/uploads/' + presigned.body.upload._id + '/complete')
+            .set('Authorization', member.auth)
+            .expect(422);
+
+        assert.equal(res.body.error.code, 'validation_failed');
+        assert.equal(res.body.error.details.upload.Status, 'failed');
+        assert.deepEqual(await helpers.listKeys(), []);
+    });
+
+    it('refuses a direct upload whose dimensions cannot be read', async () => {
+        // A PNG signature followed by anything but an image header
+        const file = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(64)]);
+        const presigned = await request(app)
+            .post('/uploads/presign')
+            .set('Authorization', member.auth)
+            .send({ ContentType: 'image/png', Size: file.length })
+            .expect(201);
+        assert.equal((await sendFile(presigned.body, file)).status, 200);
+
+        await request(app)
+            .post('/uploads/' + presigned.body.upload._id + '/complete')
+            .set('Authorization', member.auth)
+            .expect(422);
+    });
+
+    it('lists the image library and deletes originals with their variants', async () => {
+        const image = await png(10, 10);
+        for (const key of ['original-images/a.png', 'original-images/b.png', 'resized-images/a.png/thumb.webp']) {
+            await s3.send(new PutObjectCommand({ Bucket: images.BUCKET_NAME, Key: key, Body: image, ContentType: 'image/png' }));
+        }
+        await Models.Movie.create({ Title: 'Alien', Description: 'In space no one can hear you scream.', ImagePath: 'original-images/b.png' });
+
+        const page = await request(app).get('/images').query({ limit: 1 }).set('Authorization', member.auth).expect(200);
+        assert.deepEqual(page.body.images.map((entry) => entry.key), ['original-images/a.png']);
+        const next = await request(app)
+            .get('/images')
+            .query({ limit: 1, cursor: page.body.nextCursor })
+            .set('Authorization', member.auth)
+            .expect(200);
+        assert.deepEqual(next.body.images.map((entry) => entry.key), ['original-images/b.png']);
+
+        const deleteImage = (key) => request(app).delete('/images/' + encodeURIComponent(key));
+        await deleteImage('original-images/a.png').set('Authorization', member.auth).expect(403);
+        await deleteImage('original-images/b.png').set('Authorization', admin.auth).expect(409);
+        await deleteImage('original-images/c.png').set('Authorization', admin.auth).expect(404);
+        const res = await deleteImage('original-images/a.png').set('Authorization', admin.auth).expect(200);
+
+        assert.deepEqual(res.body.deleted, ['original-images/a.png', 'resized-images/a.png/thumb.webp']);
+        assert.deepEqual(await helpers.listKeys(), ['original-images/b.png']);
+    });
+});
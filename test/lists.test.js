@@ -0,0 +1,80 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const helpers = require('./helpers.js');
+const Models = require('../models.js');
+
+describe('list routes', () => {
+    let app;
+    let owner;
+    let alien;
+    let heat;
+
+    before(async () => {
+        await helpers.startDatabase();
+        app = helpers.createTestApp().app;
+    });
+    after(helpers.stopDatabase);
+    beforeEach(async () => {
+        await helpers.clearDatabase();
+        owner = await helpers.createUser({ Username: 'ownerone' });
+        alien = await Models.Movie.create({ Title: 'Alien', Description: 'In space no one can hear you scream.' });
+        heat = await Models.Movie.create({ Title: 'Heat', Description: 'A thief and a detective.' });
+    });
+
+    it('shows the built-in lists without storing them until they change', async () => {
+        const lists = await request(app).get('/users/ownerone/lists').set('Authorization', owner.auth).expect(200);
+        assert.deepEqual(lists.body.map((list) => [list.Kind, list.Name, list.movieCount, list._id]),
+            [['watchlist', 'Watch later', 0, undefined], ['watched', 'Watched', 0, undefined]]);
+        await request(app).get('/users/ownerone/lists/watchlist').set('Authorization', owner.auth).expect(200);
+        assert.equal(await Models.MovieList.countDocuments(), 0);
+
+        await request(app)
+            .post('/users/ownerone/lists/watchlist/movies/' + alien._id)
+            .set('Authorization', owner.auth)
+            .expect(200);
+
+        const updated = await request(app).get('/users/ownerone/lists').set('Authorization', owner.auth).expect(200);
+        assert.equal(updated.body[0].movieCount, 1);
+        assert.ok(updated.body[0]._id);
+        assert.equal(await Models.MovieList.countDocuments(), 1);
+    });
+
+    it('creates, reorders and deletes custom lists, keeping the built-in names reserved', async () => {
+        await request(app).post('/users/ownerone/lists').set('Authorization', owner.auth).send({ Name: 'watched' }).expect(422);
+        const created = await request(app)
+            .post('/users/ownerone/lists')
+            .set('Authorization', owner.auth)
+            .send({ Name: 'Heists', Privacy: 'public' })
+            .expect(201);
+        const path = '/users/ownerone/lists/' + created.body._id;
+        await request(app).post('/users/ownerone/lists').set('Authorization', owner.auth).send({ Name: 'Heists' }).expect(409);
+        await request(app).patch(path).set('Authorization', owner.auth).send({ Name: 'Watch Later' }).expect(422);
+        const unchanged = await request(app).put(path + '/order').set('Authorization', owner.auth).send({ MovieIDs: [] }).expect(200);
+        assert.deepEqual(unchanged.body.Entries, []);
+
+        await request(app).post(path + '/movies/' + alien._id).set('Authorization', owner.auth).expect(200);
+        await request(app).post(path + '/movies/' + heat._id).set('Authorization', owner.auth).expect(200);
+        await request(app).post(path + '/movies/' + heat._id).set('Authorization', owner.auth).expect(409);
+        const reordered = await request(app)
+            .put(path + '/order')
+            .set('Authorization', owner.auth)
+            .send({ MovieIDs: [heat._id, alien._id] })
+            .expect(200);
+        assert.deepEqual(reordered.body.Entries.map((entry) => entry.Movie.Title), ['Heat', 'Alien']);
+
+        const shared = await request(app).get('/lists/' + created.body._id).expect(200);
+        assert.equal(shared.body.Owner.Username, 'ownerone');
+
+        await request(app).delete('/users/ownerone/lists/watchlist').set('Authorization', owner.auth).expect(400);
+        const deleted = await request(app).delete(path).set('Authorization', owner.auth).expect(200);
+        assert.equal(deleted.body.message, 'Heists was deleted.');
+        await request(app).get('/lists/' + created.body._id).expect(404);
+    });
+
+    it('keeps lists private to their owner', async () => {
+        const other = await helpers.createUser({ Username: 'othertwo' });
+        await request(app).get('/users/ownerone/lists').set('Authorization', other.auth).expect(403);
+        await request(app).post('/users/ownerone/lists').set('Authorization', other.auth).send({ Name: 'Mine' }).expect(403);
+    });
+});
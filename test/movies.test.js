@@ -0,0 +1,170 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const helpers = require('./helpers.js');
+const Models = require('../models.js');
+
+const ALIEN = {
+    Title: 'Alien',
+    Description: 'In space no one can hear you scream.',
+    ReleaseYear: 1979,
+    Genres: [{ Name: 'Horror' }, { Name: 'Science Fiction' }],
+    Director: { Name: 'Ridley Scott' },
+    Actors: [{ Name: 'Sigourney Weaver', Character: 'Ripley' }]
+};
+
+describe('movie routes', () => {
+    let app;
+    let admin;
+    let member;
+
+    before(async () => {
+        await helpers.startDatabase();
+        await helpers.startS3();
+        ({ app } = helpers.createTestApp());
+    });
+    after(async () => {
+        await helpers.stopDatabase();
+        await helpers.stopS3();
+    });
+    beforeEach(async () => {
+        await helpers.clearDatabase();
+        await helpers.clearBucket();
+        admin = await helpers.createUser({ Username: 'adminuser', Role: 'admin' });
+        member = await helpers.createUser({ Username: 'memberone' });
+    });
+
+    it('requires a token', async () => {
+        await request(app).get('/movies').expect(401);
+    });
+
+    it('lets admins create movies, creating their director and cast', async () => {
+        await request(app).post('/movies').set('Authorization', member.auth).send(ALIEN).expect(403);
+        await request(app).post('/movies').set('Authorization', admin.auth).send({ Title: 'No description' }).expect(422);
+
+        const res = await request(app).post('/movies').set('Authorization', admin.auth).send(ALIEN).expect(201);
+
+        assert.equal(res.body.Director.Name, 'Ridley Scott');
+        assert.deepEqual(res.body.Actors.map((actor) => [actor.Name, actor.Character]), [['Sigourney Weaver', 'Ripley']]);
+        assert.equal(await Models.Director.countDocuments(), 1);
+        assert.equal(await Models.Person.countDocuments(), 1);
+
+        const details = await request(app).get('/movies/Alien').set('Authorization', member.auth).expect(200);
+        assert.equal(details.body.Director.Name, 'Ridley Scott');
+    });
+
+    it('does not create directors or cast members for a movie that does not exist', async () => {
+        await request(app)
+            .put('/movies/' + new mongoose.Types.ObjectId())
+            .set('Authorization', admin.auth)
+            .send({ Director: { Name: 'Ridley Scott' }, Actors: [{ Name: 'Sigourney Weaver', Character: 'Ripley' }] })
+            .expect(404);
+
+        assert.equal(await Models.Director.countDocuments(), 0);
+        assert.equal(await Models.Person.countDocuments(), 0);
+    });
+
+    it('keeps one record per director name regardless of case, and audits their edits', async () => {
+        const alien = await request(app).post('/movies').set('Authorization', admin.auth).send(ALIEN).expect(201);
+        await request(app).post('/movies').set('Authorization', admin.auth)
+            .send({ Title: 'Gladiator', Description: 'A general becomes a gladiator.', Director: { Name: 'ridley SCOTT' } })
+            .expect(201);
+        assert.equal(await Models.Director.countDocuments(), 1);
+
+        const other = await Models.Director.create({ Name: 'James Cameron' });
+        await request(app)
+            .put('/directors/' + other._id)
+            .set('Authorization', admin.auth)
+            .send({ Name: 'RIDLEY SCOTT' })
+            .expect(409);
+        await request(app)
+            .put('/directors/' + alien.body.Director._id)
+            .set('Authorization', admin.auth)
+            .send({ Bio: 'English filmmaker.' })
+            .expect(200);
+
+        const event = await Models.AuditEvent.findOne({ Action: 'director.updated' });
+        assert.equal(event.TargetId, String(alien.body.Director._id));
+        assert.deepEqual(event.Details.fields, ['Bio']);
+    });
+
+    it('filters movies by genre, director and actor', async () => {
+        await request(app).post('/movies').set('Authorization', admin.auth).send(ALIEN).expect(201);
+        await request(app).post('/movies').set('Authorization', admin.auth)
+            .send({ Title: 'Gladiator', Description: 'A general becomes a gladiator.', Director: { Name: 'Ridley Scott' } })
+            .expect(201);
+
+        const titles = async (query) => {
+            const res = await request(app).get('/movies').query(query).set('Authorization', member.auth).expect(200);
+            return res.body.movies.map((movie) => movie.Title);
+        };
+        assert.deepEqual(await titles({ genre: 'horror' }), ['Alien']);
+        assert.deepEqual(await titles({ director: 'ridley scott', sort: 'Title' }), ['Alien', 'Gladiator']);
+        assert.deepEqual(await titles({ actor: 'Sigourney Weaver' }), ['Alien']);
+    });
+
+    it('pages through movies with a cursor and refuses cursors that are not plain values', async () => {
+        await Models.Movie.create(['Alien', 'Heat', 'Ran'].map((title) => ({ Title: title, Description: title })));
+
+        const first = await request(app).get('/movies').query({ limit: 2 }).set('Authorization', member.auth).expect(200);
+        assert.deepEqual(first.body.movies.map((movie) => movie.Title), ['Alien', 'Heat']);
+        const second = await request(app)
+            .get('/movies')
+            .query({ limit: 2, cursor: first.body.nextCursor })
+            .set('Authorization', member.auth)
+            .expect(200);
+        assert.deepEqual(second.body.movies.map((movie) => movie.Title), ['Ran']);
+        assert.equal(second.body.nextCursor, null);
+
+        const cursor = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+        const id = first.body.movies[0]._id;
+        for (const value of [[{ $ne: null }, id], ['Alien', { $gt: '' }], [1979, id], ['Alien', 'aaaaaaaaaaaa']]) {
+            await request(app).get('/movies').query({ cursor: cursor(value) }).set('Authorization', member.auth).expect(422);
+        }
+    });
+
+    it('searches titles, descriptions and the names of the director and cast', async () => {
+        await request(app).post('/movies').set('Authorization', admin.auth).send(ALIEN).expect(201);
+        await request(app).post('/movies').set('Authorization', admin.auth)
+            .send({ Title: 'Heat', Description: 'A thief and a detective in Los Angeles.', Director: { Name: 'Michael Mann' } })
+            .expect(201);
+
+        const search = async (q) => {
+            const res = await request(app).get('/movies/search').query({ q: q }).set('Authorization', member.auth).expect(200);
+            return res.body.results.map((result) => result.movie.Title);
+        };
+        assert.deepEqual(await search('weaver'), ['Alien']);
+        assert.deepEqual(await search('mann'), ['Heat']);
+        assert.deepEqual((await search('space thief')).sort(), ['Alien', 'Heat']);
+        await request(app).get('/movies/search').set('Authorization', member.auth).expect(422);
+    });
+
+    it('stores an uploaded poster in the bucket and links it to the movie', async () => {
+        const movie = await Models.Movie.create({ Title: 'Alien', Description: 'In space no one can hear you scream.' });
+        const poster = await sharp({ create: { width: 40, height: 60, channels: 3, background: '#336699' } }).png().toBuffer();
+
+        const res = await request(app)
+            .post('/movies/' + movie._id + '/poster')
+            .set('Authorization', admin.auth)
+            .attach('image', poster, 'alien.png')
+            .expect(200);
+
+        assert.equal(res.body.ImagePath, 'original-images/' + movie._id + '.png');
+        assert.deepEqual(await helpers.listKeys(), [res.body.ImagePath]);
+        assert.ok(res.body.Poster.original.endsWith(res.body.ImagePath));
+        const upload = await Models.Upload.findOne({ Key: res.body.ImagePath });
+        assert.equal(upload.Status, 'stored');
+    });
+
+    it('deletes a movie and removes it from favorites', async () => {
+        const movie = await Models.Movie.create({ Title: 'Alien', Description: 'In space no one can hear you scream.' });
+        await Models.User.updateOne({ _id: member.user._id }, { $push: { FavoriteMovies: movie._id } });
+
+        await request(app).delete('/movies/' + movie._id).set('Authorization', admin.auth).expect(200);
+
+        assert.equal(await Models.Movie.countDocuments(), 0);
+        assert.deepEqual((await Models.User.findById(member.user._id)).FavoriteMovies, []);
+    });
+});
@@ -0,0 +1,53 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const helpers = require('./helpers.js');
+const Models = require('../models.js');
+
+describe('review routes', () => {
+    let app;
+    let movie;
+    let path;
+
+    before(async () => {
+        await helpers.startDatabase();
+        app = helpers.createTestApp().app;
+    });
+    after(helpers.stopDatabase);
+    beforeEach(async () => {
+        await helpers.clearDatabase();
+        movie = await Models.Movie.create({ Title: 'Alien', Description: 'In space no one can hear you scream.' });
+        path = '/movies/' + movie._id + '/reviews';
+    });
+
+    it('keeps one review per user and the movie rating up to date', async () => {
+        const first = await helpers.createUser({ Username: 'firstfan' });
+        const second = await helpers.createUser({ Username: 'secondfan' });
+
+        await request(app).post(path).set('Authorization', first.auth).send({ Rating: 11 }).expect(422);
+        await request(app).post(path).set('Authorization', first.auth).send({ Rating: 8, Text: 'Tense.' }).expect(201);
+        await request(app).post(path).set('Authorization', first.auth).send({ Rating: 9 }).expect(409);
+        await request(app).post(path).set('Authorization', second.auth).send({ Rating: 5 }).expect(201);
+        assert.equal((await Models.Movie.findById(movie._id)).AverageRating, 6.5);
+
+        await request(app).put(path).set('Authorization', second.auth).send({ Rating: 10 }).expect(200);
+        const reviews = await request(app).get(path).set('Authorization', first.auth).expect(200);
+        assert.equal(reviews.body.total, 2);
+        assert.deepEqual(reviews.body.reviews.map((review) => review.User.Username).sort(), ['firstfan', 'secondfan']);
+        assert.equal((await Models.Movie.findById(movie._id)).AverageRating, 9);
+
+        const deleted = await request(app).delete(path).set('Authorization', first.auth).expect(200);
+        assert.equal(deleted.body.message, 'Your review was deleted.');
+        await request(app).delete(path).set('Authorization', first.auth).expect(404);
+        const rated = await Models.Movie.findById(movie._id);
+        assert.equal(rated.AverageRating, 10);
+        assert.equal(rated.RatingCount, 1);
+    });
+
+    it('needs a verified email address to review', async () => {
+        const unverified = await helpers.createUser({ Username: 'newcomer', Verified: false });
+        await request(app).post(path).set('Authorization', unverified.auth).send({ Rating: 7 }).expect(403);
+        await request(app).put(path).set('Authorization', unverified.auth).send({ Rating: 8 }).expect(403);
+        await request(app).delete(path).set('Authorization', unverified.auth).expect(403);
+    });
+});
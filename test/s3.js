@@ -0,0 +1,189 @@
+/**
+ * @module test/s3
+ * @description A local S3-compatible server for the tests. Unless `S3_ENDPOINT` is set, requiring this module picks a
+ * free port and points `S3_ENDPOINT` at it, so the API reaches the server through the same setting that points it at
+ * MinIO in development; it must therefore be required before the config module. `start()` then runs s3rver there,
+ * which keeps the bucket in a temporary folder. s3rver does not check Signature Version 4 signatures, so presigned URLs
+ * are checked here the way S3 checks them, including the headers they were signed with.
+ *
+ * Set `S3_ENDPOINT`, `AWS_ACCESS_KEY_ID` and `AWS_SECRET_ACCESS_KEY` to run the tests against another server instead.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const S3rver = require('s3rver');
+const { S3Client, CreateBucketCommand, ListObjectsV2Command, GetObjectCommand,
+    DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+// The credentials s3rver accepts
+const ACCESS_KEY_ID = 'S3RVER';
+const SECRET_ACCESS_KEY = 'S3RVER';
+
+// Whether the tests run their own server, rather than one given by `S3_ENDPOINT`
+const local = !process.env.S3_ENDPOINT;
+
+let server;
+let directory;
+
+// The images module loads the settings, so it is only required once `S3_ENDPOINT` is set
+const images = () => require('../images.js');
+
+// Helper function to find a free port before the settings are loaded, which has to happen synchronously
+const freePort = () => Number(execFileSync(process.execPath, ['-e',
+    'const server = require("net").createServer().listen(0, "127.0.0.1", () => {' +
+    ' console.log(server.address().port); server.close(); });'
+]).toString());
+
+if (local) {
+    process.env.S3_ENDPOINT = 'http://127.0.0.1:' + freePort();
+    process.env.AWS_ACCESS_KEY_ID = ACCESS_KEY_ID;
+    process.env.AWS_SECRET_ACCESS_KEY = SECRET_ACCESS_KEY;
+}
+
+// Helper function to encode a URL component as Signature Version 4 does
+const encode = (value) => encodeURIComponent(value).replace(/[!'()*]/g, (c) => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+
+// Helper function to tell why a presigned request would be refused by S3, or `null` if it would be accepted
+const presignedProblem = (ctx) => {
+    const pairs = ctx.querystring.split('&').filter(Boolean).map((pair) => {
+        const [key, value = ''] = pair.split('=').map((part) => decodeURIComponent(part.replace(/\+/g, ' ')));
+        return [key, value];
+    });
+    const params = Object.fromEntries(pairs);
+    const [accessKeyId, date, region, service] = params['X-Amz-Credential'].split('/');
+    if (accessKeyId !== ACCESS_KEY_ID) {
+        return 'InvalidAccessKeyId';
+    }
+    const signedAt = Date.parse(params['X-Amz-Date'].replace(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/, '$1-$2-$3T$4:$5:$6Z'));
+    if (Date.now() > signedAt + Number(params['X-Amz-Expires']) * 1000) {
+        return 'AccessDenied';
+    }
+
+    const signedHeaders = params['X-Amz-SignedHeaders'].split(';');
+    const canonicalRequest = [
+        ctx.method,
+        ctx.path,
+        pairs.filter(([key]) => key !== 'X-Amz-Signature')
+            .map(([key, value]) => encode(key) + '=' + encode(value))
+            .sort()
+            .join('&'),
+        signedHeaders.map((name) => name + ':' + (ctx.get(name) || '').trim().replace(/\s+/g, ' ') + '\n').join(''),
+        signedHeaders.join(';'),
+        params['X-Amz-Content-Sha256'] || 'UNSIGNED-PAYLOAD'
+    ].join('\n');
+    const scope = [date, region, service, 'aws4_request'].join('/');
+    const stringToSign = ['AWS4-HMAC-SHA256', params['X-Amz-Date'], scope,
+        crypto.createHash('sha256').update(canonicalRequest).digest('hex')].join('\n');
+    const signingKey = [date, region, service, 'aws4_request'].reduce(hmac, 'AWS4' + SECRET_ACCESS_KEY);
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+    return signature === params['X-Amz-Signature'] ? null : 'SignatureDoesNotMatch';
+};
+
+// Middleware that refuses presigned requests whose signature does not match the request, as S3 does with 403
+const checkPresignedRequests = async (ctx, next) => {
+    const problem = 'X-Amz-Signature' in ctx.query ? presignedProblem(ctx) : null;
+    if (!problem) {
+        return next();
+    }
+    ctx.status = 403;
+    ctx.type = 'application/xml';
+    ctx.body = '<?xml version="1.0" encoding="UTF-8"?>\n<Error><Code>' + problem + '</Code></Error>';
+};
+
+/**
+ * @function createClient
+ * @description Creates an S3 client for the server, configured the way the API's is.
+ * @returns {S3Client} The client.
+ */
+const createClient = () => new S3Client(images().s3ClientConfig());
+
+/**
+ * @function start
+ * @description Starts the server, unless the tests use another one, and creates the bucket if it does not exist.
+ * @returns {Promise<void>}
+ */
+const start = async () => {
+    if (local) {
+        const { hostname, port } = new URL(process.env.S3_ENDPOINT);
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'myflix-s3-'));
+        server = new S3rver({ address: hostname, port: Number(port), directory: directory, silent: true });
+        // Koa runs the middleware in order, and the check has to come before s3rver's routes
+        server.middleware.unshift(checkPresignedRequests);
+        await server.run();
+    }
+    await createClient().send(new CreateBucketCommand({ Bucket: images().BUCKET_NAME })).catch((error) => {
+        if (error.name !== 'BucketAlreadyOwnedByYou' && error.name !== 'BucketAlreadyExists') {
+            throw error;
+        }
+    });
+};
+
+/**
+ * @function stop
+ * @description Stops the server the tests started and deletes its files.
+ * @returns {Promise<void>}
+ */
+const stop = async () => {
+    if (server) {
+        await server.close();
+        server = undefined;
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+};
+
+/**
+ * @function listKeys
+ * @description Lists the keys in the bucket.
+ * @param {string} [prefix] - Only list the keys that start with it.
+ * @returns {Promise<string[]>} The keys, in order.
+ */
+const listKeys = async (prefix = '') => {
+    const client = createClient();
+    const keys = [];
+    let page = {};
+    do {
+        page = await client.send(new ListObjectsV2Command({
+            Bucket: images().BUCKET_NAME,
+            Prefix: prefix,
+            ContinuationToken: page.NextContinuationToken
+        }));
+        keys.push(...(page.Contents || []).map((object) => object.Key));
+    } while (page.IsTruncated);
+    return keys;
+};
+
+/**
+ * @function readObject
+ * @description Reads an object from the bucket.
+ * @param {string} key - The key of the object.
+ * @returns {Promise<Buffer>} The content.
+ */
+const readObject = async (key) => {
+    const { Body } = await createClient().send(new GetObjectCommand({ Bucket: images().BUCKET_NAME, Key: key }));
+    return Buffer.from(await Body.transformToByteArray());
+};
+
+/**
+ * @function clear
+ * @description Deletes every object in the bucket, so that each test starts from an empty bucket.
+ * @returns {Promise<void>}
+ */
+const clear = async () => {
+    const client = createClient();
+    for (const key of await listKeys()) {
+        await client.send(new DeleteObjectCommand({ Bucket: images().BUCKET_NAME, Key: key }));
+    }
+};
+
+module.exports = {
+    createClient,
+    start,
+    stop,
+    listKeys,
+    readObject,
+    clear
+};
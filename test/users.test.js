@@ -0,0 +1,155 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const helpers = require('./helpers.js');
+const Models = require('../models.js');
+
+describe('user routes', () => {
+    let app;
+
+    before(async () => {
+        await helpers.startDatabase();
+        app = helpers.createTestApp().app;
+    });
+    after(helpers.stopDatabase);
+    beforeEach(helpers.clearDatabase);
+
+    it('registers a user without returning the password and sends a verification email', async () => {
+        const res = await request(app)
+            .post('/users')
+            .send({ Username: 'moviefan', Password: 'secret123', Email: 'fan@example.com' })
+            .expect(201);
+
+        assert.equal(res.body.Username, 'moviefan');
+        assert.equal(res.body.Verified, false);
+        assert.equal(res.body.Password, undefined);
+        assert.equal(helpers.sentMail.length, 1);
+        assert.equal(helpers.sentMail[0].to, 'fan@example.com');
+    });
+
+    it('rejects invalid and duplicate registrations', async () => {
+        await request(app).post('/users').send({ Username: 'abc', Password: '', Email: 'nope' }).expect(422);
+        await helpers.createUser({ Username: 'moviefan' });
+        const res = await request(app)
+            .post('/users')
+            .send({ Username: 'moviefan', Password: 'secret123', Email: 'other@example.com' })
+            .expect(409);
+        assert.equal(res.body.error.code, 'conflict');
+    });
+
+    it('only shows a user to themselves and to admins', async () => {
+        const owner = await helpers.createUser({ Username: 'ownerone' });
+        const other = await helpers.createUser({ Username: 'othertwo' });
+        const admin = await helpers.createUser({ Username: 'adminuser', Role: 'admin' });
+
+        await request(app).get('/users/ownerone').expect(401);
+        await request(app).get('/users/ownerone').set('Authorization', other.auth).expect(403);
+        const res = await request(app).get('/users/ownerone').set('Authorization', owner.auth).expect(200);
+        assert.equal(res.body.Username, 'ownerone');
+        await request(app).get('/users/ownerone').set('Authorization', admin.auth).expect(200);
+
+        await request(app).get('/users').set('Authorization', owner.auth).expect(403);
+    });
+
+    it('updates only the fields that are sent and asks to verify a new email address', async () => {
+        const owner = await helpers.createUser({ Username: 'ownerone', Birthday: new Date('1990-01-01') });
+
+        const res = await request(app)
+            .patch('/users/ownerone')
+            .set('Authorization', owner.auth)
+            .send({ Email: 'new@example.com' })
+            .expect(200);
+
+        assert.equal(res.body.Email, 'new@example.com');
+        assert.equal(new Date(res.body.Birthday).toISOString(), '1990-01-01T00:00:00.000Z');
+        assert.equal(res.body.Verified, false);
+        assert.equal(helpers.sentMail[0].to, 'new@example.com');
+    });
+
+    it('adds and removes favorite movies once the email is verified', async () => {
+        const movie = await Models.Movie.create({ Title: 'Alien', Description: 'In space no one can hear you scream.' });
+        const unverified = await helpers.createUser({ Username: 'newcomer', Verified: false });
+        const owner = await helpers.createUser({ Username: 'ownerone' });
+
+        await request(app)
+            .post('/users/newcomer/movies/' + movie._id)
+            .set('Authorization', unverified.auth)
+            .expect(403);
+
+        const added = await request(app)
+            .post('/users/ownerone/movies/' + movie._id)
+            .set('Authorization', owner.auth)
+            .expect(200);
+        assert.deepEqual(added.body.FavoriteMovies.map((favorite) => favorite.Title), ['Alien']);
+
+        const removed = await request(app)
+            .delete('/users/ownerone/movies/' + movie._id)
+            .set('Authorization', owner.auth)
+            .expect(200);
+        assert.deepEqual(removed.body.FavoriteMovies, []);
+    });
+
+    it('recommends movies that share genres, directors or cast with the favorites', async () => {
+        const owner = await helpers.createUser({ Username: 'ownerone' });
+        const [scott, mann] = await Models.Director.create([{ Name: 'Ridley Scott' }, { Name: 'Michael Mann' }]);
+        const [alien] = await Models.Movie.create([
+            { Title: 'Alien', Description: 'In space no one can hear you scream.', Genres: [{ Name: 'Horror' }], Director: scott._id },
+            { Title: 'Gladiator', Description: 'A general becomes a gladiator.', Genres: [{ Name: 'Drama' }], Director: scott._id },
+            { Title: 'Heat', Description: 'A thief and a detective.', Genres: [{ Name: 'Crime' }], Director: mann._id }
+        ]);
+
+        const none = await request(app).get('/users/ownerone/recommendations').set('Authorization', owner.auth).expect(200);
+        assert.deepEqual(none.body, []);
+
+        await Models.User.updateOne({ _id: owner.user._id }, { $push: { FavoriteMovies: alien._id } });
+        const res = await request(app).get('/users/ownerone/recommendations').set('Authorization', owner.auth).expect(200);
+        assert.deepEqual(res.body.map((recommendation) => recommendation.movie.Title), ['Gladiator']);
+        assert.equal(res.body[0].explanation, 'Because you liked Alien');
+    });
+
+    it('logs a user out of every session when their password changes', async () => {
+        const owner = await helpers.createUser({ Username: 'ownerone', Password: 'secret123' });
+        const login = await request(app).post('/login').send({ Username: 'ownerone', Password: 'secret123' }).expect(200);
+
+        const res = await request(app)
+            .patch('/users/ownerone')
+            .set('Authorization', owner.auth)
+            .send({ Password: 'new-secret' })
+            .expect(200);
+
+        await request(app).get('/users/ownerone').set('Authorization', owner.auth).expect(401);
+        await request(app).post('/refresh').send({ refreshToken: login.body.refreshToken }).expect(401);
+        await request(app).get('/users/ownerone').set('Authorization', 'Bearer ' + res.body.token).expect(200);
+    });
+
+    it('deletes a user together with their lists, reviews and tokens', async () => {
+        const owner = await helpers.createUser({ Username: 'ownerone', Password: 'secret123' });
+        await Models.MovieList.create({ Owner: owner.user._id, Name: 'Watch later' });
+        await request(app).post('/login').send({ Username: 'ownerone', Password: 'secret123' }).expect(200);
+        await Models.UserToken.issue(owner.user, 'password-reset', 60 * 60 * 1000);
+
+        await request(app).delete('/users/ownerone').set('Authorization', owner.auth).expect(200);
+
+        assert.equal(await Models.User.countDocuments(), 0);
+        assert.equal(await Models.MovieList.countDocuments(), 0);
+        assert.equal(await Models.RefreshToken.countDocuments(), 0);
+        assert.equal(await Models.UserToken.countDocuments(), 0);
+        const event = await Models.AuditEvent.findOne({ Action: 'user.deleted' });
+        assert.equal(event.TargetId, 'ownerone');
+        assert.equal(event.ActorUsername, 'ownerone');
+    });
+
+    it('audits failed and successful logins without the password', async () => {
+        await helpers.createUser({ Username: 'moviefan', Password: 'secret123' });
+
+        await request(app).post('/login').send({ Username: 'moviefan', Password: 'wrong-one' }).expect(401);
+        await request(app).post('/login').send({ Username: 'moviefan', Password: 'secret123' }).expect(200);
+
+        const events = await Models.AuditEvent.find().sort({ createdAt: 1 }).lean();
+        assert.deepEqual(events.map((event) => [event.Action, event.Outcome]),
+            [['login.failed', 'failure'], ['login.succeeded', 'success']]);
+        assert.equal(events[0].Details.reason, 'wrong_password');
+        assert.ok(events.every((event) => event.RequestId && event.ActorUsername === 'moviefan'));
+        assert.ok(!JSON.stringify(events).includes('secret123'));
+    });
+});
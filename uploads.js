@@ -0,0 +1,516 @@
+const { check, query } = require('express-validator'),
+  passport = require('passport'),
+  _ = require('lodash'),
+  fileUpload = require('express-fileupload'),
+  sharp = require('sharp'),
+  { v4: uuidv4 } = require('uuid'),
+  { PutObjectCommand, GetObjectCommand, HeadObjectCommand, CopyObjectCommand, DeleteObjectCommand, DeleteObjectsCommand,
+    ListObjectsV2Command } = require('@aws-sdk/client-s3'),
+  { getSignedUrl } = require('@aws-sdk/s3-request-presigner'),
+  Models = require('./models.js'),
+  config = require('./config.js'),
+  images = require('./images.js'),
+  { requireAdmin, requireVerified } = require('./authorization.js'),
+  audit = require('./audit.js'),
+  metrics = require('./metrics.js'),
+  { HttpError, BadRequestError, NotFoundError, ConflictError, ValidationError, validate, sendError } = require('./errors.js');
+
+// Upload limits from the `uploads` settings: the largest file in bytes, and the largest image in pixels
+const MAX_UPLOAD_BYTES = config.get('uploads').maxBytes;
+const MAX_IMAGE_WIDTH = config.get('uploads').maxWidth;
+const MAX_IMAGE_HEIGHT = config.get('uploads').maxHeight;
+
+// How long presigned URLs are valid, in seconds
+const PRESIGNED_URL_EXPIRES_IN = config.get('uploads').presignedUrlExpiresIn;
+
+// How long after its presigned URL has expired a direct upload may still be completed, for a transfer that started
+// just before
+const STAGING_GRACE_MS = 60 * 1000;
+
+// Page sizes of the image library
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000; // The most S3 returns at once
+
+// The folders of the image library
+const LIBRARY_PREFIXES = {
+  original: images.ORIGINAL_PREFIX,
+  resized: images.RESIZED_PREFIX
+};
+
+// How much of an object is read to check a direct upload: enough for the signature and the image dimensions
+const SNIFF_BYTES = 64 * 1024;
+
+const auth = passport.authenticate('jwt', { session: false, failWithError: true });
+
+// Errors for files that are too large or of the wrong type
+const tooLarge = (message) => new HttpError(413, 'payload_too_large', message);
+const unsupportedType = (message) => new HttpError(415, 'unsupported_media_type', message);
+
+// Helper function to tell whether an S3 error means that the object does not exist
+const isNotFound = (error) => error.name === 'NotFound' || error.name === 'NoSuchKey' ||
+  (error.$metadata && error.$metadata.httpStatusCode === 404);
+
+// Validation rule for an image key in the URL
+const checkImageKey = () => check('key', 'key must be an image key under original-images/ or resized-images/')
+  .custom((key) => (key.startsWith(images.ORIGINAL_PREFIX) || key.startsWith(images.RESIZED_PREFIX)) &&
+    !key.split('/').includes('..'));
+
+// Helper function to describe an object of the bucket in API responses
+const toImage = (object) => {
+  const image = {
+    key: object.Key,
+    name: object.Key.split('/').pop(),
+    size: object.Size,
+    lastModified: object.LastModified,
+    url: images.imageUrl(object.Key)
+  };
+  const variant = images.parseVariantKey(object.Key);
+  if (variant) {
+    Object.assign(image, variant);
+  }
+  return image;
+};
+
+// Helper function to tell whether an image is within the dimension limits
+const withinDimensions = (width, height) => !(width > MAX_IMAGE_WIDTH || height > MAX_IMAGE_HEIGHT);
+
+
+/**
+ * Middleware that parses file uploads. A file over `UPLOAD_MAX_BYTES` is refused with 413 as soon as the limit is
+ * reached, without buffering the rest of it. It is only mounted on the routes that take a file, after authentication,
+ * so that no one can have the API buffer a file without being allowed to upload it.
+ * @returns {Function} The express-fileupload middleware.
+ */
+let fileUploadMiddleware = () => fileUpload({
+  limits: { fileSize: MAX_UPLOAD_BYTES },
+  abortOnLimit: true,
+  // Answered here rather than passed on, because the upload is aborted right after
+  limitHandler: (req, res) => {
+    metrics.recordUpload('refused');
+    sendError(req, res, tooLarge('Files can be at most ' + MAX_UPLOAD_BYTES + ' bytes'));
+  }
+});
+
+// Helper function to detect the type and dimensions of an uploaded file, rejecting anything but an acceptable image
+const readImage = async (file) => {
+  if (file.truncated) {
+    throw tooLarge('Files can be at most ' + MAX_UPLOAD_BYTES + ' bytes');
+  }
+  const contentType = images.detectImageType(file.data);
+  if (!contentType) {
+    throw unsupportedType('Only JPEG, PNG and GIF images are supported');
+  }
+  const metadata = await sharp(file.data).metadata().catch(() => {
+    throw unsupportedType('The image could not be read');
+  });
+  if (!withinDimensions(metadata.width, metadata.height)) {
+    throw tooLarge(`Images can be at most ${MAX_IMAGE_WIDTH}x${MAX_IMAGE_HEIGHT} pixels`);
+  }
+  return { file: file, contentType: contentType, width: metadata.width, height: metadata.height };
+};
+
+/**
+ * Checks the `image` file uploaded with a request. Its type is detected from the content, since the type and name
+ * the client declares cannot be trusted. Rejects with a 400 error without a single file, 415 for anything but a
+ * readable JPEG, PNG or GIF image, and 413 for an image over `UPLOAD_MAX_WIDTH` by `UPLOAD_MAX_HEIGHT` pixels.
+ * @param {Object} req - The request object.
+ * @returns {Promise<Object>} The image as `{ file, contentType, width, height }`.
+ */
+let checkImage = async (req) => {
+  if (!req.files || !req.files.image || Array.isArray(req.files.image)) {
+    throw new BadRequestError('Upload a single file as the image field');
+  }
+  return readImage(req.files.image).catch((error) => {
+    metrics.recordUpload('refused');
+    throw error;
+  });
+}
+
+/**
+ * Stores a checked image in the S3 bucket under the given key and keeps an `Upload` record of it. The record is
+ * created as `pending` and marked `stored` or `failed` once S3 has answered, and the outcome is audited. The object
+ * carries the request ID in its metadata, so that the resize Lambda's logs can be matched with the upload.
+ * @param {S3Client} s3Client - The S3 client.
+ * @param {Object} image - The image, as returned by `checkImage`.
+ * @param {string} key - The key to store the image under.
+ * @param {Object} req - The request that uploaded the image. Its authenticated user is the uploader.
+ * @param {Object} [models] - The Mongoose models, as exported by the models module. Defaults to that module.
+ * @returns {Promise<Object>} The upload record.
+ */
+let storeImage = async (s3Client, image, key, req, models = Models) => {
+  const upload = await models.Upload.create({
+    Key: key,
+    OriginalName: image.file.name,
+    ContentType: image.contentType,
+    Size: image.file.size,
+    Width: image.width,
+    Height: image.height,
+    Uploader: req.user._id
+  });
+  try {
+    await s3Client.send(new PutObjectCommand({
+      Bucket: images.BUCKET_NAME,
+      Key: key,
+      Body: image.file.data,
+      ContentType: image.contentType,
+      // S3 metadata must be plain ASCII, so the name is stored URL-encoded
+      Metadata: { 'original-name': encodeURIComponent(image.file.name), 'request-id': req.id }
+    }));
+  } catch (error) {
+    upload.Status = 'failed';
+    await upload.save();
+    metrics.recordUpload('failed');
+    await audit.record(req, 'upload.stored', { outcome: 'failure', targetType: 'upload', targetId: key });
+    throw error;
+  }
+  upload.Status = 'stored';
+  await upload.save();
+  metrics.recordUpload('stored', upload.Size);
+  await audit.record(req, 'upload.stored', { targetType: 'upload', targetId: key, details: { Size: upload.Size } });
+  return upload;
+}
+
+
+/**
+ * Checks an object that a client uploaded directly to S3 against its upload record. Only the start of the object is
+ * read: enough to detect its type from its content and, for the usual image layouts, its dimensions.
+ * @param {S3Client} s3Client - The S3 client.
+ * @param {Object} upload - The upload record.
+ * @returns {Promise<Object>} `{ found: false }` if the object is not there yet, otherwise `{ found: true, problem }`
+ * with the reason the object cannot be accepted, or without a `problem` and with the `width` and `height`.
+ */
+const inspectStoredImage = async (s3Client, upload) => {
+  let head;
+  try {
+    head = await s3Client.send(new HeadObjectCommand({ Bucket: images.BUCKET_NAME, Key: upload.Key }));
+  } catch (error) {
+    if (isNotFound(error)) {
+      return { found: false };
+    }
+    throw error;
+  }
+  if (head.ContentLength !== upload.Size || head.ContentType !== upload.ContentType) {
+    return { found: true, problem: 'The uploaded file does not have the announced size and type' };
+  }
+  const { Body } = await s3Client.send(new GetObjectCommand({
+    Bucket: images.BUCKET_NAME,
+    Key: upload.Key,
+    Range: 'bytes=0-' + (SNIFF_BYTES - 1)
+  }));
+  const start = Buffer.from(await Body.transformToByteArray());
+  if (images.detectImageType(start) !== upload.ContentType) {
+    return { found: true, problem: 'The uploaded file is not of the announced type ' + upload.ContentType };
+  }
+  // The dimensions are usually near the start of the file; an image whose dimensions cannot be read there is refused,
+  // since its size could not be checked
+  const metadata = await sharp(start).metadata().catch(() => ({}));
+  if (!metadata.width || !metadata.height) {
+    return { found: true, problem: 'The dimensions of the uploaded image could not be read' };
+  }
+  if (!withinDimensions(metadata.width, metadata.height)) {
+    return { found: true, problem: `Images can be at most ${MAX_IMAGE_WIDTH}x${MAX_IMAGE_HEIGHT} pixels` };
+  }
+  return { found: true, width: metadata.width, height: metadata.height };
+};
+
+/**
+ * Removes the direct uploads that were never completed. Once the presigned URL of a pending upload has expired, and
+ * the grace period after it is over, its staged file is deleted if it arrived at all and the upload is marked
+ * `expired`. The server runs this regularly.
+ * @param {S3Client} s3Client - The S3 client.
+ * @param {Object} [models] - The Mongoose models, as exported by the models module. Defaults to that module.
+ * @returns {Promise<number>} The number of uploads that expired.
+ */
+let expireStaleUploads = async (s3Client, models = Models) => {
+  const stale = await models.Upload.find({
+    Status: 'pending',
+    Key: { $regex: '^' + _.escapeRegExp(images.STAGING_PREFIX) },
+    createdAt: { $lt: new Date(Date.now() - PRESIGNED_URL_EXPIRES_IN * 1000 - STAGING_GRACE_MS) }
+  });
+  for (const upload of stale) {
+    await s3Client.send(new DeleteObjectCommand({ Bucket: images.BUCKET_NAME, Key: upload.Key }));
+    upload.Status = 'expired';
+    await upload.save();
+  }
+  return stale.length;
+};
+
+
+/**
+ * @namespace UploadRoutes
+ * @description Routes for storing images in the S3 bucket and reading them back. Images are either uploaded through
+ * the API with `POST /upload`, or directly to S3 with a presigned URL from `POST /uploads/presign`, in which case the
+ * client reports the finished upload to `POST /uploads/:id/complete`. The image library routes list the images in the bucket
+ * and delete them.
+ */
+module.exports = (router, options) => {
+  const models = options.models || Models;
+  const s3Client = options.s3Client;
+  const Movies = models.Movie,
+    Uploads = models.Upload;
+
+  // Stores the image under a new random key, so uploads never overwrite each other; the client's file name is only
+  // kept in the upload record and the object metadata
+  router.post('/upload', auth, requireVerified, fileUploadMiddleware(), async (req, res, next) => {
+    await checkImage(req)
+      .then((image) => {
+        const key = images.originalKey(uuidv4() + images.IMAGE_TYPES[image.contentType]);
+        return storeImage(s3Client, image, key, req, models);
+      })
+      .then((upload) => res.status(201).json({ message: 'File uploaded successfully!', upload: upload }))
+      .catch(next);
+  });
+
+  /**
+   * @function presignUpload
+   * @memberof UploadRoutes
+   * @description Prepares a direct upload to S3. Returns a presigned `PUT` URL that only accepts a file of the
+   * announced type and size, under a new random key in `staged-uploads/`. The upload is recorded as `pending` until it
+   * is completed; uploads that are not completed soon after the URL has expired are removed.
+   * @param {Object} req - The request object containing the `ContentType` (JPEG, PNG or GIF), the `Size` in bytes and
+   * optionally the `FileName`.
+   * @returns {Object} JSON object with the `upload` record, the `url`, the `method` and `headers` to send the file
+   * with, and when the URL `expiresAt`. Responds with 413 if the file is too large and 415 for other types.
+   */
+  router.post('/uploads/presign', auth, requireVerified,
+  [
+    check('ContentType', 'ContentType is required').isString(),
+    check('Size', 'Size must be a number of bytes').isInt({ min: 1 }).toInt(),
+    check('FileName', 'FileName must be a string of at most 255 characters').optional().isString().isLength({ max: 255 })
+  ], validate, async (req, res, next) => {
+    if (!images.IMAGE_TYPES[req.body.ContentType]) {
+      return next(unsupportedType('Only JPEG, PNG and GIF images are supported'));
+    }
+    if (req.body.Size > MAX_UPLOAD_BYTES) {
+      return next(tooLarge('Files can be at most ' + MAX_UPLOAD_BYTES + ' bytes'));
+    }
+    const key = images.stagedKey(uuidv4() + images.IMAGE_TYPES[req.body.ContentType]);
+    await Uploads.create({
+      Key: key,
+      OriginalName: req.body.FileName,
+      ContentType: req.body.ContentType,
+      Size: req.body.Size,
+      Uploader: req.user._id
+    })
+      .then(async (upload) => {
+        // Signing the type and length headers makes S3 refuse any other file
+        const url = await getSignedUrl(s3Client, new PutObjectCommand({
+          Bucket: images.BUCKET_NAME,
+          Key: key,
+          ContentType: upload.ContentType,
+          ContentLength: upload.Size
+        }), { expiresIn: PRESIGNED_URL_EXPIRES_IN, signableHeaders: new Set(['content-type', 'content-length']) });
+        res.status(201).json({
+          upload: upload,
+          url: url,
+          method: 'PUT',
+          headers: { 'Content-Type': upload.ContentType, 'Content-Length': String(upload.Size) },
+          expiresAt: new Date(Date.now() + PRESIGNED_URL_EXPIRES_IN * 1000)
+        });
+      })
+      .catch(next);
+  });
+
+  /**
+   * @function completeUpload
+   * @memberof UploadRoutes
+   * @description Confirms a direct upload once the file has been sent to the presigned URL. The object must exist in
+   * the bucket with the announced size and type, and its content must be an image of that type within the dimension
+   * limits. Then it is moved from `staged-uploads/` to `original-images/`, where the resize Lambda and the image
+   * library pick it up. Otherwise it is deleted and the upload is marked `failed`. Completing an upload again returns
+   * it as is.
+   * @param {Object} req - The request object containing the upload ID in the URL parameter.
+   * @returns {Object} JSON object with the upload record. Responds with 404 if the user has no such upload, 409 if
+   * the file has not arrived yet and 422 if the file was refused.
+   */
+  router.post('/uploads/:id/complete', auth, [check('id', 'id must be a valid upload ID').isMongoId()], validate, async (req, res, next) => {
+    await Uploads.findOne({ _id: req.params.id, Uploader: req.user._id })
+      .then(async (upload) => {
+        if (!upload) {
+          return next(new NotFoundError('Upload ' + req.params.id + ' was not found'));
+        }
+        if (upload.Status !== 'pending') {
+          return res.json(upload);
+        }
+        const result = await inspectStoredImage(s3Client, upload);
+        if (!result.found) {
+          return next(new ConflictError('The file has not been uploaded yet'));
+        }
+        if (result.problem) {
+          await s3Client.send(new DeleteObjectCommand({ Bucket: images.BUCKET_NAME, Key: upload.Key }));
+          upload.Status = 'failed';
+          await upload.save();
+          metrics.recordUpload('refused');
+          await audit.record(req, 'upload.completed', {
+            outcome: 'failure',
+            targetType: 'upload',
+            targetId: upload.Key,
+            details: { problem: result.problem }
+          });
+          return next(new ValidationError({ upload: upload }, result.problem));
+        }
+        const key = images.originalKey(upload.Key.split('/').pop());
+        await s3Client.send(new CopyObjectCommand({
+          Bucket: images.BUCKET_NAME,
+          Key: key,
+          CopySource: encodeURI(images.BUCKET_NAME + '/' + upload.Key),
+          ContentType: upload.ContentType,
+          // Like an image uploaded through the API, so that the resize Lambda's logs can be matched with the upload
+          MetadataDirective: 'REPLACE',
+          Metadata: _.omitBy({
+            'original-name': upload.OriginalName && encodeURIComponent(upload.OriginalName),
+            'request-id': req.id
+          }, _.isNil)
+        }));
+        await s3Client.send(new DeleteObjectCommand({ Bucket: images.BUCKET_NAME, Key: upload.Key }));
+        upload.Key = key;
+        upload.Status = 'stored';
+        upload.Width = result.width;
+        upload.Height = result.height;
+        await upload.save();
+        metrics.recordUpload('stored', upload.Size);
+        await audit.record(req, 'upload.completed', { targetType: 'upload', targetId: upload.Key, details: { Size: upload.Size } });
+        res.json(upload);
+      })
+      .catch(next);
+  });
+
+  /**
+   * @function getImageUrl
+   * @memberof UploadRoutes
+   * @description Returns a short-lived presigned URL to download an image straight from S3, instead of streaming it
+   * through the API.
+   * @param {Object} req - The request object containing the image key in the URL parameter, URL-encoded as a whole
+   * (for example `original-images%2Fabc.jpg`).
+   * @returns {Object} JSON object with the `key`, the `url` and when it `expiresAt`. Responds with 404 if there is no
+   * such image.
+   */
+  router.get('/images/:key/url', auth, [checkImageKey()], validate, async (req, res, next) => {
+    const key = req.params.key;
+    await s3Client.send(new HeadObjectCommand({ Bucket: images.BUCKET_NAME, Key: key }))
+      .then(async () => {
+        const url = await getSignedUrl(s3Client, new GetObjectCommand({ Bucket: images.BUCKET_NAME, Key: key }),
+          { expiresIn: PRESIGNED_URL_EXPIRES_IN });
+        res.json({ key: key, url: url, expiresAt: new Date(Date.now() + PRESIGNED_URL_EXPIRES_IN * 1000) });
+      })
+      .catch((error) => {
+        if (isNotFound(error)) {
+          return next(new NotFoundError('Image ' + key + ' was not found'));
+        }
+        next(error);
+      });
+  });
+
+  /**
+   * @function getImages
+   * @memberof UploadRoutes
+   * @description Returns a page of the image library: the originals, or the resized variants and manifests.
+   * @param {Object} req - The request object containing the optional query parameters `prefix` (`original` or
+   * `resized`), `name` (only keys whose name starts with it), `limit` and the `cursor` returned with the previous page.
+   * @returns {Object} JSON object with the `prefix`, the `images` array of `{ key, name, size, lastModified, url }`
+   * objects, which for variants also have the `source` key of the original and the `variant` name and `format`, and
+   * the `nextCursor`.
+   */
+  router.get('/images', auth,
+  [
+    query('prefix', 'prefix must be original or resized').optional().isIn(Object.keys(LIBRARY_PREFIXES)),
+    query('name', 'name must be a single string without slashes').optional().isString().not().contains('/'),
+    query('limit', 'limit must be an integer between 1 and ' + MAX_PAGE_SIZE).optional().isInt({ min: 1, max: MAX_PAGE_SIZE }).toInt(),
+    query('cursor', 'cursor must be a single string').optional().isString()
+  ], validate, async (req, res, next) => {
+    const prefix = LIBRARY_PREFIXES[req.query.prefix || 'original'];
+    await s3Client.send(new ListObjectsV2Command({
+      Bucket: images.BUCKET_NAME,
+      Prefix: prefix + (req.query.name || ''),
+      MaxKeys: req.query.limit || DEFAULT_PAGE_SIZE,
+      ContinuationToken: req.query.cursor
+    }))
+      .then((listing) => {
+        res.json({
+          prefix: prefix,
+          images: (listing.Contents || []).map(toImage),
+          nextCursor: listing.IsTruncated ? listing.NextContinuationToken : null
+        });
+      })
+      .catch(next);
+  });
+
+  /**
+   * @function deleteImage
+   * @memberof UploadRoutes
+   * @description Allows admins to delete an original image together with all of its resized variants and its
+   * manifest. An image that is still a movie's poster is not deleted.
+   * @param {Object} req - The request object containing the key of the original image in the URL parameter,
+   * URL-encoded as a whole (for example `original-images%2Fabc.jpg`).
+   * @returns {Object} JSON object with the `deleted` keys. Responds with 404 if there is no such image, 409 with the
+   * `movies` that use it as their poster, and 422 for keys that are not originals.
+   */
+  router.delete('/images/:key', auth, requireAdmin,
+  [
+    checkImageKey(),
+    check('key', 'Only original images can be deleted; their variants are deleted with them')
+      .custom((key) => images.isImageKey(key))
+  ], validate, async (req, res, next) => {
+    const key = req.params.key;
+    await Movies.find({ ImagePath: key }).select('Title')
+      .then(async (movies) => {
+        if (movies.length > 0) {
+          return next(new ConflictError('The image is the poster of a movie', { movies: movies }));
+        }
+        try {
+          await s3Client.send(new HeadObjectCommand({ Bucket: images.BUCKET_NAME, Key: key }));
+        } catch (error) {
+          if (isNotFound(error)) {
+            return next(new NotFoundError('Image ' + key + ' was not found'));
+          }
+          throw error;
+        }
+        const variants = await s3Client.send(new ListObjectsV2Command({
+          Bucket: images.BUCKET_NAME,
+          Prefix: images.variantPrefix(key)
+        }));
+        const keys = [key].concat((variants.Contents || []).map((object) => object.Key));
+        const result = await s3Client.send(new DeleteObjectsCommand({
+          Bucket: images.BUCKET_NAME,
+          Delete: { Objects: keys.map((objectKey) => ({ Key: objectKey })), Quiet: true }
+        }));
+        if (result.Errors && result.Errors.length > 0) {
+          throw new Error('Could not delete ' + result.Errors.map((error) => error.Key).join(', '));
+        }
+        await Uploads.updateMany({ Key: key }, { $set: { Status: 'deleted' } });
+        await audit.record(req, 'image.deleted', { targetType: 'image', targetId: key, details: { deleted: keys } });
+        res.json({ deleted: keys });
+      })
+      .catch(next);
+  });
+
+  // Endpoint to retrieve an original image from the S3 bucket as a file download
+  router.get('/download/:filename', auth, async (req, res, next) => {
+    const { filename } = req.params;
+    req.log.debug('Download requested', { filename: filename });
+
+    try {
+      const data = await s3Client.send(new GetObjectCommand({
+        Bucket: images.BUCKET_NAME,
+        Key: images.originalKey(filename)
+      }));
+
+      // Set the headers for file download
+      res.setHeader('Content-Type', data.ContentType); // Set the content type of the file
+      res.setHeader('Content-Disposition', `attachment; filename=${filename}`); // Force download
+
+      // Stream the object to the response
+      data.Body.pipe(res);
+    } catch (error) {
+      if (isNotFound(error)) {
+        return next(new NotFoundError('File ' + filename + ' was not found'));
+      }
+      next(error);
+    }
+  });
+}
+
+module.exports.fileUploadMiddleware = fileUploadMiddleware;
+module.exports.checkImage = checkImage;
+module.exports.storeImage = storeImage;
+module.exports.expireStaleUploads = expireStaleUploads;
@@ -0,0 +1,375 @@
+const { check, body, query } = require('express-validator'),
+  passport = require('passport'),
+  _ = require('lodash'),
+  Models = require('./models.js'),
+  recommendations = require('./recommendations.js'),
+  { generateJWTToken } = require('./auth'),
+  { sendVerification } = require('./account'),
+  { requireAdmin, requireSelfOrAdmin, requireVerified } = require('./authorization.js'),
+  audit = require('./audit.js'),
+  { ConflictError, NotFoundError, validate } = require('./errors.js'),
+  { checkMovieId } = require('./validators.js');
+
+// The most movies scored for one user's recommendations, and the most co-favorited movies among them
+const MAX_RECOMMENDATION_CANDIDATES = 500;
+const MAX_CO_FAVORITES = 100;
+
+// Helper function to find the field that violated a unique index. Returns null for any other error.
+const duplicateKeyField = (err) => {
+    if (!err || err.code !== 11000) {
+        return null;
+    }
+    return Object.keys(err.keyPattern || err.keyValue || {})[0] || null;
+};
+
+/**
+ * @namespace UserRoutes
+ * @description Routes related to user management. Every `/users/:Username` route is restricted to that user or an admin,
+ * and user responses never include the `Password` field.
+ */
+module.exports = (router, options = {}) => {
+  const models = options.models || Models;
+  const Movies = models.Movie,
+    Users = models.User,
+    MovieLists = models.MovieList,
+    Reviews = models.Review,
+    RefreshTokens = models.RefreshToken,
+    UserTokens = models.UserToken;
+
+  // The favorite movies of a user, with their directors and cast, as populated for responses
+  const FAVORITES_POPULATE = { path: 'FavoriteMovies', populate: models.MOVIE_POPULATE };
+
+  /**jsdoc
+   * @function registerUser
+   * @memberof UserRoutes
+   * @description Allows new users to register by providing a username, password, email, and birthday.
+   * A verification email is sent to the new user, who cannot manage favorite movies until the address is confirmed.
+   * @param {Object} req - The request object containing the user data (Username, Password, Email, Birthday).
+   * @param {Object} res - The response object to send back the status or error message.
+   * @returns {Object} JSON response with the user data or error message.
+   */
+
+  router.post('/users',
+    [
+      check('Username', 'Username is required').isLength({min: 5}),
+      check('Username', 'Username contains non alphanumeric characters - not allowed.').isAlphanumeric(),
+      check('Password', 'Password is required').not().isEmpty(),
+      check('Email', 'Email does not appear to be valid').isEmail()
+    ], validate, async (req, res, next) => {
+      let hashedPassword = Users.hashPassword(req.body.Password);
+      await Users.findOne({ Username: req.body.Username}) // Search to see if a user with the requested username already exists
+      .then((user) => {
+        if (user) {
+          throw new ConflictError(req.body.Username + ' already exists');
+        }
+        return Users
+          .create({
+            Username: req.body.Username,
+            Password: hashedPassword,
+            Email: req.body.Email,
+            Birthday: req.body.Birthday,
+            Verified: false
+          })
+          .then(async (user) => {
+            await sendVerification(user, models);
+            res.status(201).json(user);
+          });
+      })
+      .catch((err) => {
+        const field = duplicateKeyField(err);
+        next(field ? new ConflictError(field + ' ' + req.body[field] + ' already exists') : err);
+      });
+    });
+
+  /**
+   * @function getUsers
+   * @memberof UserRoutes
+   * @description Returns a list of all registered users. Only available to admins.
+   * @param {Object} req - The request object.
+   * @param {Object} res - The response object containing the list of users.
+   * @returns {Array} JSON array of all users.
+   */
+  router.get('/users', passport.authenticate('jwt', { session: false, failWithError: true }), requireAdmin, async (req, res, next) => {
+    await Users.find()
+      .then((users) => {
+        res.json(users);
+      })
+      .catch(next);
+  });
+
+  /**
+   * @function getSingleUser
+   * @memberof UserRoutes
+   * @description Returns a single registered user's information, with their favorite movies as full movie documents.
+   * @param {Object} req - The request object containing the username in the URL parameter.
+   * @param {Object} res - The response object containing the user data.
+   * @returns {Object} JSON object with user data.
+   */
+  router.get('/users/:Username', passport.authenticate('jwt', { session: false, failWithError: true }), requireSelfOrAdmin,
+  [
+    check('Username', 'Username is required').isLength({min: 5}),
+    check('Username', 'Username contains non alphanumeric characters - not allowed.').isAlphanumeric()
+  ], validate, async (req, res, next) => {
+    await Users.findOne({ Username: req.params.Username }).populate(FAVORITES_POPULATE)
+      .then((user) => {
+        if (!user) {
+          return next(new NotFoundError(req.params.Username + ' was not found'));
+        }
+        res.json(user);
+      })
+      .catch(next);
+  });  
+
+  /**
+   * @function UpdateUser
+   * @memberof UserRoutes
+   * @description Allows a user to update their information. Only the fields provided in the request body are changed,
+   * and the route answers to both PUT and PATCH. Usernames and emails must stay unique, and a changed email address has
+   * to be verified again. A new password logs the user out of every session, since the old one may have been
+   * compromised. Users who rename themselves or change their own password get a new token for this session.
+   * @param {Object} req - The request object containing the fields to update (Username, Password, Email, Birthday).
+   * @param {Object} res - The response object containing the updated user data.
+   * @returns {Object} JSON object with the updated user data, or `{ user, token }` when the user renamed themselves
+   * or changed their own password.
+   */
+  const updateUser = async (req, res, next) => {
+    let update = _.pick(req.body, ['Username', 'Email', 'Birthday']);
+    const passwordChanged = req.body.Password !== undefined;
+    if (passwordChanged) {
+      update.Password = Users.hashPassword(req.body.Password);
+    }
+    let emailChanged = false;
+    await (req.body.Email === undefined ? Promise.resolve(null)
+      : Users.exists({ Username: req.params.Username, Email: { $ne: req.body.Email } }))
+    .then((changed) => {
+      // A new email address has to be verified again
+      if (changed) {
+        emailChanged = true;
+        update.Verified = false;
+      }
+      // A new token version invalidates every access token issued before
+      return Users.findOneAndUpdate({ Username: req.params.Username },
+        passwordChanged ? { $set: update, $inc: { TokenVersion: 1 } } : { $set: update },
+        { new: true, runValidators: true }); // This line makes sure that the updated document is returned
+    })
+    .then(async (updatedUser) => {
+      if (!updatedUser) {
+        return next(new NotFoundError(req.params.Username + ' was not found'));
+      }
+      if (passwordChanged) {
+        await RefreshTokens.updateMany({ User: updatedUser._id, RevokedAt: null }, { $set: { RevokedAt: new Date() } });
+      }
+      await audit.record(req, 'user.updated', {
+        targetType: 'user',
+        targetId: updatedUser.Username,
+        details: { fields: Object.keys(update).filter((field) => field !== 'Verified'), previousUsername: req.params.Username }
+      });
+      if (emailChanged) {
+        await sendVerification(updatedUser, models);
+      }
+      if (req.user.Username === req.params.Username && (updatedUser.Username !== req.params.Username || passwordChanged)) {
+        return res.json({ user: updatedUser, token: generateJWTToken(updatedUser) });
+      }
+      res.json(updatedUser);
+    })
+    .catch((err) => {
+      const field = duplicateKeyField(err);
+      next(field ? new ConflictError(field + ' ' + req.body[field] + ' already exists') : err);
+    })
+  };
+
+  const updateUserValidators = [
+    body('Username', 'Username is required').optional().isLength({min: 5}),
+    body('Username', 'Username contains non alphanumeric characters - not allowed.').optional().isAlphanumeric(),
+    body('Password', 'Password is required').optional().not().isEmpty(),
+    body('Email', 'Email does not appear to be valid').optional().isEmail(),
+    body('Birthday', 'Birthday must be a valid date').optional().isISO8601().toDate(),
+    body().custom((value, { req }) => ['Username', 'Password', 'Email', 'Birthday'].some((field) => req.body[field] !== undefined))
+      .withMessage('Provide at least one of Username, Password, Email or Birthday to update')
+  ];
+  router.put('/users/:Username', passport.authenticate('jwt', { session: false, failWithError: true }), requireSelfOrAdmin, updateUserValidators, validate, updateUser);
+  router.patch('/users/:Username', passport.authenticate('jwt', { session: false, failWithError: true }), requireSelfOrAdmin, updateUserValidators, validate, updateUser);
+
+  /**
+   * @function getFavoriteMovies
+   * @memberof UserRoutes
+   * @description Returns the user's favorite movies as full movie documents.
+   * @param {Object} req - The request object containing the username in the URL parameter.
+   * @param {Object} res - The response object containing the favorite movies.
+   * @returns {Array} JSON array of the user's favorite movies.
+   */
+  router.get('/users/:Username/movies', passport.authenticate('jwt', { session: false, failWithError: true }), requireSelfOrAdmin, async (req, res, next) => {
+    await Users.findOne({ Username: req.params.Username }).populate(FAVORITES_POPULATE)
+      .then((user) => {
+        if (!user) {
+          return next(new NotFoundError(req.params.Username + ' was not found'));
+        }
+        res.json(user.FavoriteMovies);
+      })
+      .catch(next);
+  });
+
+  /**
+   * @function getRecommendations
+   * @memberof UserRoutes
+   * @description Recommends movies that are not among the user's favorites yet. Movies are ranked by the genres,
+   * director and actors they share with the favorites, and by how often other users favorited them together with the
+   * user's favorites. A user without favorites gets no recommendations. Only movies that share something with the
+   * favorites or are co-favorited are scored, up to `MAX_RECOMMENDATION_CANDIDATES` of the most rated ones.
+   * @param {Object} req - The request object containing the username in the URL parameter and an optional `limit`.
+   * @param {Object} res - The response object containing the recommendations.
+   * @returns {Array} JSON array of `{ movie, score, explanation, reasons }` objects, best first, where `explanation`
+   * reads like "Because you liked The Godfather".
+   */
+  router.get('/users/:Username/recommendations', passport.authenticate('jwt', { session: false, failWithError: true }), requireSelfOrAdmin,
+  [
+    query('limit', 'limit must be an integer between 1 and 50').optional().isInt({ min: 1, max: 50 }).toInt()
+  ], validate, async (req, res, next) => {
+    await Users.findOne({ Username: req.params.Username }).populate(FAVORITES_POPULATE).lean()
+      .then(async (user) => {
+        if (!user) {
+          return next(new NotFoundError(req.params.Username + ' was not found'));
+        }
+        const favorites = user.FavoriteMovies.map(Movies.serialize);
+        const favoriteIds = favorites.map((movie) => movie._id);
+        if (favoriteIds.length === 0) {
+          return res.json([]);
+        }
+        // Count how many other users favorited each movie together with any of this user's favorites
+        const coFavorites = await Users.aggregate([
+          { $match: { _id: { $ne: user._id }, FavoriteMovies: { $in: favoriteIds } } },
+          { $unwind: '$FavoriteMovies' },
+          { $match: { FavoriteMovies: { $nin: favoriteIds } } },
+          { $group: { _id: '$FavoriteMovies', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: MAX_CO_FAVORITES }
+        ]);
+        // Genres are compared without regard to case, like the scoring does
+        const genres = _.uniqBy(_.compact(_.flatMap(favorites, (movie) => _.map(movie.Genres, 'Name'))), _.toLower);
+        const candidates = await Movies.find({
+          _id: { $nin: favoriteIds },
+          $or: [
+            { 'Genres.Name': { $in: genres.map((genre) => new RegExp('^' + _.escapeRegExp(genre) + '$', 'i')) } },
+            { Director: { $in: _.compact(favorites.map((movie) => _.get(movie, 'Director._id'))) } },
+            { 'Actors.Person': { $in: _.compact(_.flatMap(favorites, (movie) => _.map(movie.Actors, '_id'))) } },
+            { _id: { $in: coFavorites.map((entry) => entry._id) } }
+          ]
+        })
+          .sort({ RatingCount: -1, _id: 1 })
+          .limit(MAX_RECOMMENDATION_CANDIDATES)
+          .populate(models.MOVIE_POPULATE)
+          .lean()
+          .then((movies) => movies.map(Movies.serialize));
+        const coFavoriteCounts = _.fromPairs(coFavorites.map((entry) => [entry._id.toString(), entry.count]));
+        res.json(recommendations.recommend(favorites, candidates, coFavoriteCounts, req.query.limit || 10));
+      })
+      .catch(next);
+  });
+
+  /**
+   * @function addFavoriteMovie
+   * @memberof UserRoutes
+   * @description Allows users to add a movie to their list of favorite movies. The movie must exist, and a movie
+   * can only be in the list once.
+   * @param {Object} req - The request object containing the username and movie ID in the URL parameters.
+   * @param {Object} res - The response object confirming that the movie has been added.
+   * @returns {Object} JSON object with updated user data, with the favorite movies populated. Responds with 404 if the
+   * user or movie does not exist and 409 if the movie is already a favorite.
+   */
+  router.post('/users/:Username/movies/:MovieID', passport.authenticate('jwt', { session: false, failWithError: true }), requireSelfOrAdmin, requireVerified,
+  [
+    check('Username', 'Username is required').isLength({min: 5}),
+    check('Username', 'Username contains non alphanumeric characters - not allowed.').isAlphanumeric(),
+    checkMovieId('MovieID')
+  ], validate, async (req, res, next) => {
+    await Movies.exists({ _id: req.params.MovieID })
+    .then((movie) => {
+      if (!movie) {
+        return next(new NotFoundError('Movie ' + req.params.MovieID + ' was not found'));
+      }
+      // The filter only matches while the movie is not a favorite yet, so the same movie is never added twice
+      return Users.findOneAndUpdate({ Username: req.params.Username, FavoriteMovies: { $ne: req.params.MovieID } }, {
+         $addToSet: { FavoriteMovies: req.params.MovieID }
+       },
+       { new: true }) // This line makes sure that the updated document is returned
+      .populate(FAVORITES_POPULATE)
+      .then(async (updatedUser) => {
+        if (updatedUser) {
+          return res.json(updatedUser);
+        }
+        if (await Users.exists({ Username: req.params.Username })) {
+          return next(new ConflictError('Movie ' + req.params.MovieID + ' is already a favorite'));
+        }
+        return next(new NotFoundError(req.params.Username + ' was not found'));
+      });
+    })
+    .catch(next);
+  });
+
+  /**
+   * @function deleteFavoriteMovie
+   * @memberof UserRoutes
+   * @description Allows users to remove a movie from their list of favorite movies.
+   * @param {Object} req - The request object containing the username and movie ID in the URL parameters.
+   * @param {Object} res - The response object confirming that the movie has been removed.
+   * @returns {Object} JSON object with updated user data, with the favorite movies populated. Responds with 404 if the
+   * user does not exist or the movie is not one of their favorites.
+   */
+  router.delete('/users/:Username/movies/:MovieID', passport.authenticate('jwt', { session: false, failWithError: true }), requireSelfOrAdmin, requireVerified, 
+  [
+    check('Username', 'Username is required').isLength({min: 5}),
+    check('Username', 'Username contains non alphanumeric characters - not allowed.').isAlphanumeric(),
+    checkMovieId('MovieID')
+  ], validate, async (req, res, next) => {
+    await Users.findOneAndUpdate({ Username: req.params.Username, FavoriteMovies: req.params.MovieID }, {
+       $pull: { FavoriteMovies : req.params.MovieID }
+     },
+     { new: true }) // This line makes sure that the updated document is returned
+    .populate(FAVORITES_POPULATE)
+    .then(async (updatedUser) => {
+      if (updatedUser) {
+        return res.json(updatedUser);
+      }
+      if (await Users.exists({ Username: req.params.Username })) {
+        return next(new NotFoundError('Movie ' + req.params.MovieID + ' is not a favorite'));
+      }
+      return next(new NotFoundError(req.params.Username + ' was not found'));
+    })
+    .catch(next);
+  });
+
+
+  /**
+   * @function deleteUser
+   * @memberof UserRoutes
+   * @description Allows existing users to deregister by deleting their account. Their lists, reviews, refresh tokens
+   * and emailed tokens are deleted with it, and the ratings of the movies they reviewed are updated.
+   * @param {Object} req - The request object containing the username in the URL parameter.
+   * @param {Object} res - The response object confirming the user has been deleted.
+   * @returns {Object} JSON object with a confirmation `message`, or an error.
+   */
+  router.delete('/users/:Username', passport.authenticate('jwt', { session: false, failWithError: true }), requireSelfOrAdmin,
+  [
+    check('Username', 'Username is required').isLength({min: 5}),
+    check('Username', 'Username contains non alphanumeric characters - not allowed.').isAlphanumeric()
+  ], validate, async (req, res, next) => {
+    await Users.findOneAndDelete({ Username: req.params.Username })
+      .then(async (user) => {
+        if (!user) {
+          return next(new NotFoundError(req.params.Username + ' was not found'));
+        } else {
+          const reviewedMovies = await Reviews.distinct('Movie', { User: user._id });
+          await Promise.all([
+            MovieLists.deleteMany({ Owner: user._id }),
+            Reviews.deleteMany({ User: user._id }),
+            RefreshTokens.deleteMany({ User: user._id }),
+            UserTokens.deleteMany({ User: user._id })
+          ]);
+          await Promise.all(reviewedMovies.map((movieId) => Reviews.refreshMovieRating(movieId)));
+          await audit.record(req, 'user.deleted', { targetType: 'user', targetId: user.Username });
+          res.json({ message: req.params.Username + ' was deleted.' });
+        }
+      })
+      .catch(next);
+  });
+};
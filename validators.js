@@ -0,0 +1,18 @@
+/**
+ * @module validators
+ * @description This module holds express-validator rules shared by several route modules.
+ */
+const { check } = require('express-validator');
+
+/**
+ * @function checkMovieId
+ * @description Validation rule for a movie ID. Checking the format up front means a malformed ID is reported as a
+ * validation error instead of failing the query with a cast error.
+ * @param {string} field - The name of the field or URL parameter holding the movie ID.
+ * @returns {Object} The express-validator validation chain.
+ */
+const checkMovieId = (field) => check(field, field + ' must be a valid movie ID').isMongoId();
+
+module.exports = {
+    checkMovieId
+};